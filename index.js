@@ -2,19 +2,63 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 
 import express from "express";
+import multer from "multer";
 import { waitForReady } from "@rmdes/indiekit-startup-gate";
 
+import { blocklistController } from "./lib/controllers/blocklist.js";
 import { conversationsController } from "./lib/controllers/conversations.js";
+import { importController } from "./lib/controllers/import.js";
+import { moderationController } from "./lib/controllers/moderation.js";
+import { nodeinfoController } from "./lib/controllers/nodeinfo.js";
+import { createRateLimitIndexes } from "./lib/ingestion/ingest-limits.js";
+import { createWebmentionIndexes } from "./lib/ingestion/webmention-receiver.js";
+import { getAccounts } from "./lib/polling/accounts.js";
+import { createSalmentionIndexes } from "./lib/salmention/salmention.js";
+import {
+  isModerationEnabled,
+  releaseModerationQueue,
+} from "./lib/moderation/moderation.js";
 import { createIndexes } from "./lib/storage/conversation-items.js";
 
 const defaults = {
   mountPath: "/conversations",
+  moderation: false,
+  salmention: false,
+  streaming: false,
   useGranary: false,
   granaryUrl: "https://granary.io",
 };
 
 const router = express.Router();
 
+// Uploaded export files are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+});
+
+// Indiekit parses JSON and form bodies before plugin routes run, so
+// their bytes are gone by the time /ingest sees them. Bodies of any
+// other type (signed requests send application/octet-stream) arrive
+// unread: keep their bytes for HMAC verification, then parse them as
+// JSON. The limit is generous: ingestLimits.maxPayloadBytes is the
+// real one.
+const parseRawIngestBody = (request, response, next) => {
+  if (!Buffer.isBuffer(request.body)) return next();
+
+  request.rawBody = request.body;
+  try {
+    request.body = JSON.parse(request.rawBody.toString("utf8") || "{}");
+  } catch {
+    return response.status(400).json({ error: "Request body must be JSON" });
+  }
+  next();
+};
+const ingestBodyParsers = [
+  express.raw({ type: () => true, limit: "1mb" }),
+  parseRawIngestBody,
+];
+
 export default class ConversationsEndpoint {
   name = "Conversations endpoint";
 
@@ -24,6 +68,14 @@ export default class ConversationsEndpoint {
    * @param {number} [options.pollInterval] - Polling interval in ms (default 300000)
    * @param {boolean} [options.useGranary] - Use Granary REST API for format conversion
    * @param {string} [options.granaryUrl] - Custom Granary instance URL
+   * @param {boolean} [options.parseMicroformats] - Parse mf2 from direct webmention sources (default true)
+   * @param {object|Array} [options.ingestSecrets] - Named secrets for /ingest ({ name: secret } or [{ name, secret }])
+   * @param {string} [options.ingestSignatureHeader] - HMAC signature header (default "X-Hub-Signature-256")
+   * @param {object} [options.ingestLimits] - /ingest rate and size limits (ipPerWindow, domainPerWindow, window, maxPayloadBytes, maxContentLength)
+   * @param {boolean} [options.moderation] - Hold interactions from untrusted authors for approval (default false)
+   * @param {boolean} [options.salmention] - Send Salmentions to earlier IndieWeb responses when a new one arrives (default false)
+   * @param {boolean} [options.streaming] - Receive Mastodon notifications in real time through the streaming API (default false)
+   * @param {Array<object>} [options.accounts] - Extra Mastodon/Bluesky accounts to poll ({ platform, name, url, accessToken } or { platform, name, identifier, password, serviceUrl })
    */
   constructor(options = {}) {
     this.options = { ...defaults, ...options };
@@ -44,7 +96,8 @@ export default class ConversationsEndpoint {
 
   /**
    * Protected routes (require authentication)
-   * Admin dashboard only
+   * Admin dashboard, manual poll, moderation queue, blocklist, NodeInfo
+   * cache and webmention.io import
    */
   get routes() {
     router.get("/", conversationsController.dashboard);
@@ -52,12 +105,40 @@ export default class ConversationsEndpoint {
     // Manual poll trigger (admin only)
     router.post("/poll", conversationsController.triggerPoll);
 
+    // Moderation queue
+    router.get("/moderation", moderationController.queue);
+    router.post("/moderation/approve", moderationController.approve);
+    router.post("/moderation/reject", moderationController.reject);
+    router.post("/moderation/trust", moderationController.trust);
+    router.post("/moderation/untrust", moderationController.untrust);
+
+    // Blocklist (authors, domains, instances)
+    router.get("/blocklist", blocklistController.list);
+    router.post("/blocklist", blocklistController.add);
+    router.post(
+      "/blocklist/import",
+      upload.single("file"),
+      blocklistController.importCsv,
+    );
+    router.post("/blocklist/remove", blocklistController.remove);
+
+    // NodeInfo cache (server software of fediverse instances)
+    router.get("/nodeinfo", nodeinfoController.list);
+    router.post("/nodeinfo/refresh", nodeinfoController.refresh);
+    router.post("/nodeinfo/purge", nodeinfoController.purge);
+
+    // Import historical interactions from a webmention.io export
+    router.get("/import", importController.form);
+    router.post("/import", upload.single("file"), importController.preview);
+    router.post("/import/commit", importController.commit);
+    router.post("/import/discard", importController.discard);
+
     return router;
   }
 
   /**
    * Public routes (no authentication required)
-   * JF2 API + ingest endpoint + status
+   * JF2 API + ingest endpoint + Webmention receiver + status
    */
   get routesPublic() {
     const publicRouter = express.Router();
@@ -65,11 +146,25 @@ export default class ConversationsEndpoint {
     // JF2-compatible mentions API (matches webmention-io format)
     publicRouter.get("/api/mentions", conversationsController.apiMentions);
 
+    // Replies to one post as a nested tree
+    publicRouter.get("/api/threads", conversationsController.apiThreads);
+
     // Connection status (for health checks)
     publicRouter.get("/api/status", conversationsController.apiStatus);
 
     // Webmention ingestion (called by Bridgy or external services)
-    publicRouter.post("/ingest", conversationsController.ingest);
+    publicRouter.post(
+      "/ingest",
+      ingestBodyParsers,
+      conversationsController.ingest,
+    );
+
+    // W3C Webmention receiver (verified asynchronously) + status URL
+    publicRouter.post("/webmention", conversationsController.receiveWebmention);
+    publicRouter.get(
+      "/webmention/:id",
+      conversationsController.webmentionStatus,
+    );
 
     return publicRouter;
   }
@@ -83,6 +178,13 @@ export default class ConversationsEndpoint {
     Indiekit.addCollection("conversation_items");
     Indiekit.addCollection("conversation_state");
     Indiekit.addCollection("nodeinfo_cache");
+    Indiekit.addCollection("did_cache");
+    Indiekit.addCollection("conversation_webmentions");
+    Indiekit.addCollection("conversation_trusted_authors");
+    Indiekit.addCollection("conversation_blocklist");
+    Indiekit.addCollection("conversation_salmentions");
+    Indiekit.addCollection("conversation_rate_limits");
+    Indiekit.addCollection("conversation_import_items");
 
     Indiekit.addEndpoint(this);
 
@@ -99,14 +201,48 @@ export default class ConversationsEndpoint {
           error.message,
         );
       });
+      createWebmentionIndexes(Indiekit).catch((error) => {
+        console.warn(
+          "[Conversations] Webmention index creation failed:",
+          error.message,
+        );
+      });
+      createSalmentionIndexes(Indiekit).catch((error) => {
+        console.warn(
+          "[Conversations] Salmention index creation failed:",
+          error.message,
+        );
+      });
+      createRateLimitIndexes(Indiekit).catch((error) => {
+        console.warn(
+          "[Conversations] Rate limit index creation failed:",
+          error.message,
+        );
+      });
+
+      // Items queued while moderation was on are published once it is
+      // turned off; the moderation page is only useful while it is on
+      if (!isModerationEnabled(Indiekit)) {
+        releaseModerationQueue(Indiekit)
+          .then((released) => {
+            if (released > 0) {
+              console.info(
+                `[Conversations] Moderation off: published ${released} pending items`,
+              );
+            }
+          })
+          .catch((error) => {
+            console.warn(
+              "[Conversations] Moderation queue release failed:",
+              error.message,
+            );
+          });
+      }
 
-      // Auto-detect credentials and start polling
-      const hasMastodon =
-        process.env.MASTODON_ACCESS_TOKEN &&
-        (process.env.MASTODON_URL || process.env.MASTODON_INSTANCE);
-      const hasBluesky =
-        (process.env.BLUESKY_IDENTIFIER || process.env.BLUESKY_HANDLE) &&
-        process.env.BLUESKY_PASSWORD;
+      // Auto-detect credentials (accounts option and env vars)
+      const accounts = getAccounts(this.options);
+      const hasMastodon = accounts.some((a) => a.platform === "mastodon");
+      const hasBluesky = accounts.some((a) => a.platform === "bluesky");
 
       // Store detected platforms for dashboard status
       // Note: ActivityPub detection happens at poll time (not init time)
@@ -120,7 +256,7 @@ export default class ConversationsEndpoint {
       };
 
       // Always start polling — the scheduler detects available sources
-      // at runtime (Mastodon/Bluesky from env vars, AP from collections)
+      // at runtime (Mastodon/Bluesky accounts, AP from collections)
       this._stopGate = waitForReady(
         () => {
           import("./lib/polling/scheduler.js")
@@ -141,5 +277,8 @@ export default class ConversationsEndpoint {
 
   destroy() {
     this._stopGate?.();
+    import("./lib/polling/scheduler.js")
+      .then(({ stopPolling }) => stopPolling())
+      .catch(() => {});
   }
 }
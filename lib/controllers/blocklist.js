@@ -0,0 +1,151 @@
+/**
+ * Blocklist controller
+ * Admin management of blocked authors, domains and instances, including
+ * import of Mastodon domain-block CSV exports. Every addition purges
+ * matching interactions already stored.
+ * @module controllers/blocklist
+ */
+
+import {
+  addBlockEntries,
+  getBlockEntries,
+  parseBlockEntry,
+  parseMastodonDomainBlocks,
+  purgeBlockedItems,
+  removeBlockEntry,
+} from "../moderation/blocklist.js";
+
+/**
+ * Blocklist page
+ * GET /conversations/blocklist
+ */
+async function list(request, response) {
+  const { application } = request.app.locals;
+  const config = application.conversations || {};
+
+  try {
+    const entries = await getBlockEntries(application);
+
+    response.render("conversations-blocklist", {
+      title: response.__
+        ? response.__("conversations.blocklist.title")
+        : "Blocklist",
+      entries,
+      errorCode: ["no_entries", "no_file"].includes(request.query.error)
+        ? request.query.error
+        : null,
+      result: request.query.added
+        ? {
+            added: Number(request.query.added) || 0,
+            purged: Number(request.query.purged) || 0,
+          }
+        : null,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  } catch (error) {
+    console.error("[Conversations] Blocklist page error:", error.message);
+    response.status(500).render("conversations-blocklist", {
+      title: "Blocklist",
+      error: error.message,
+      entries: [],
+      result: null,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  }
+}
+
+/**
+ * Add entries typed by the admin (one per line)
+ * POST /conversations/blocklist
+ */
+async function add(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  const comment = String(request.body?.comment || "").trim();
+  const entries = String(request.body?.entries || "")
+    .split(/\r?\n/)
+    .map((line) => parseBlockEntry(line))
+    .filter(Boolean)
+    .map((entry) => ({ ...entry, comment }));
+
+  if (entries.length === 0) {
+    return response.redirect(`${baseUrl}/blocklist?error=no_entries`);
+  }
+
+  await addAndPurge(request, response, entries, "manual");
+}
+
+/**
+ * Import a Mastodon domain-block CSV
+ * POST /conversations/blocklist/import
+ */
+async function importCsv(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  if (!request.file?.buffer) {
+    return response.redirect(`${baseUrl}/blocklist?error=no_file`);
+  }
+
+  const entries = parseMastodonDomainBlocks(request.file.buffer);
+  if (entries.length === 0) {
+    return response.redirect(`${baseUrl}/blocklist?error=no_entries`);
+  }
+
+  await addAndPurge(request, response, entries, "csv");
+}
+
+/**
+ * Remove an entry
+ * POST /conversations/blocklist/remove
+ */
+async function remove(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  try {
+    if (request.body?.id) {
+      await removeBlockEntry(application, request.body.id);
+    }
+  } catch (error) {
+    console.error("[Conversations] Blocklist remove error:", error.message);
+  }
+
+  response.redirect(`${baseUrl}/blocklist`);
+}
+
+/**
+ * Store entries, purge matching items and report back to the page
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {Array} entries - Parsed entries
+ * @param {string} origin - "manual" or "csv"
+ */
+async function addAndPurge(request, response, entries, origin) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  try {
+    const added = await addBlockEntries(application, entries, origin);
+    const purged = await purgeBlockedItems(application);
+
+    response.redirect(`${baseUrl}/blocklist?added=${added}&purged=${purged}`);
+  } catch (error) {
+    console.error("[Conversations] Blocklist update error:", error.message);
+    response.status(500).render("conversations-blocklist", {
+      title: "Blocklist",
+      error: error.message,
+      entries: [],
+      result: null,
+      baseUrl,
+    });
+  }
+}
+
+export const blocklistController = {
+  list,
+  add,
+  importCsv,
+  remove,
+};
@@ -1,24 +1,66 @@
 /**
  * Conversations controller
- * Admin dashboard + JF2 API + ingest endpoint
+ * Admin dashboard + JF2 API + ingest endpoint + Webmention receiver
  * @module controllers/conversations
  */
 
+import {
+  getIngestSecrets,
+  recordIngestAccepted,
+  recordIngestRejection,
+  verifyIngestRequest,
+} from "../ingestion/ingest-auth.js";
 import {
   classifyWebmention,
   generatePlatformId,
+  replyParent,
 } from "../ingestion/webmention-classifier.js";
-import { resolveCanonicalUrl } from "../matching/syndication-map.js";
+import {
+  getWebmention,
+  getWebmentionCounts,
+  processWebmentionQueue,
+  queueWebmention,
+} from "../ingestion/webmention-receiver.js";
+import {
+  checkRateLimit,
+  contentLength,
+  getIngestLimits,
+  getThrottledSenders,
+  payloadSize,
+  recordIngestAbuse,
+  sourceDomain,
+} from "../ingestion/ingest-limits.js";
+import {
+  getRecentSalmentions,
+  getSalmentionCounts,
+} from "../salmention/salmention.js";
+import {
+  isDeletedPayload,
+  normalizeWebhookPayload,
+} from "../ingestion/webhook-payload.js";
+import {
+  isSiteUrl,
+  resolveCanonicalUrl,
+} from "../matching/syndication-map.js";
+import { loadBlocklist } from "../moderation/blocklist.js";
+import { getModerationCounts } from "../moderation/moderation.js";
+import { getAccountStatuses } from "../polling/accounts.js";
 import {
   getConversationItems,
   getConversationCount,
   getConversationSummaries,
+  liveItemsQuery,
+  tombstoneConversationItems,
   upsertConversationItem,
 } from "../storage/conversation-items.js";
 import {
   conversationItemToJf2,
   wmPropertyToType,
 } from "../transforms/jf2.js";
+import { buildThreadTree } from "../transforms/thread-tree.js";
+
+// Replies returned per post by /api/threads
+const MAX_THREAD_REPLIES = 500;
 
 /**
  * Admin dashboard — connection status + stats
@@ -33,10 +75,20 @@ async function dashboard(request, response) {
 
     // Get poll state
     let pollState = null;
+    let ingestAuthState = null;
+    let ingestAbuseState = null;
     if (stateCollection) {
       pollState = await stateCollection.findOne({ _id: "poll_cursors" });
+      ingestAuthState = await stateCollection.findOne({ _id: "ingest_auth" });
+      ingestAbuseState = await stateCollection.findOne({ _id: "ingest_abuse" });
     }
 
+    // Senders currently over their /ingest rate limit
+    const throttledSenders = await getThrottledSenders(application);
+
+    // Names of configured ingest secrets (never the secrets themselves)
+    const ingestSecretNames = getIngestSecrets(config).map((s) => s.name);
+
     // Get stats
     const totalItems = await getConversationCount(application);
     const summaries = await getConversationSummaries(application, {
@@ -48,7 +100,7 @@ async function dashboard(request, response) {
     let recentItems = [];
     if (itemsCollection) {
       recentItems = await itemsCollection
-        .find({})
+        .find(liveItemsQuery())
         .sort({ received_at: -1 })
         .limit(10)
         .toArray();
@@ -59,6 +111,7 @@ async function dashboard(request, response) {
     if (itemsCollection) {
       const counts = await itemsCollection
         .aggregate([
+          { $match: liveItemsQuery() },
           { $group: { _id: "$source", count: { $sum: 1 } } },
         ])
         .toArray();
@@ -72,6 +125,7 @@ async function dashboard(request, response) {
     if (itemsCollection) {
       const counts = await itemsCollection
         .aggregate([
+          { $match: liveItemsQuery() },
           { $group: { _id: "$type", count: { $sum: 1 } } },
         ])
         .toArray();
@@ -85,6 +139,7 @@ async function dashboard(request, response) {
     if (itemsCollection) {
       const counts = await itemsCollection
         .aggregate([
+          { $match: liveItemsQuery() },
           { $group: { _id: "$channel", count: { $sum: 1 } } },
         ])
         .toArray();
@@ -93,6 +148,44 @@ async function dashboard(request, response) {
       }
     }
 
+    // Get item counts by polled account. Items stored before accounts
+    // existed belong to the platform's "default" (env var) account.
+    let accountCounts = {};
+    if (itemsCollection) {
+      const counts = await itemsCollection
+        .aggregate([
+          {
+            $match: liveItemsQuery({
+              channel: { $in: ["mastodon_api", "bluesky_api"] },
+            }),
+          },
+          {
+            $group: {
+              _id: {
+                $ifNull: ["$account", { $concat: ["$source", ":default"] }],
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+      for (const c of counts) {
+        accountCounts[c._id] = c.count;
+      }
+    }
+
+    const accounts = await getAccountStatuses(application);
+
+    // Get webmention receiver queue counts by verification status
+    const webmentionCounts = await getWebmentionCounts(application);
+
+    // Items waiting for moderation
+    const moderationCounts = await getModerationCounts(application);
+
+    // Outgoing Salmention deliveries
+    const salmentionCounts = await getSalmentionCounts(application);
+    const recentSalmentions = await getRecentSalmentions(application);
+
     response.render("conversations", {
       title: response.__
         ? response.__("conversations.title")
@@ -105,6 +198,18 @@ async function dashboard(request, response) {
       platformCounts,
       channelCounts,
       typeCounts,
+      mastodonAccounts: accounts.filter((a) => a.platform === "mastodon"),
+      blueskyAccounts: accounts.filter((a) => a.platform === "bluesky"),
+      accountCounts,
+      webmentionCounts,
+      moderationCounts,
+      salmentionCounts,
+      recentSalmentions,
+      ingestAuthState,
+      ingestAbuseState,
+      throttledSenders,
+      ingestLimits: getIngestLimits(config),
+      ingestSecretNames,
       baseUrl: config.mountPath || "/conversations",
     });
   } catch (error) {
@@ -119,6 +224,17 @@ async function dashboard(request, response) {
       platformCounts: {},
       channelCounts: {},
       typeCounts: {},
+      mastodonAccounts: [],
+      blueskyAccounts: [],
+      accountCounts: {},
+      webmentionCounts: {},
+      moderationCounts: { pending: 0, rejected: 0 },
+      salmentionCounts: {},
+      recentSalmentions: [],
+      ingestAuthState: null,
+      ingestAbuseState: null,
+      throttledSenders: [],
+      ingestSecretNames: [],
     });
   }
 }
@@ -163,9 +279,9 @@ async function apiMentions(request, response) {
         return response.status(503).json({ error: "Database unavailable" });
       }
 
-      const query = {
+      const query = liveItemsQuery({
         canonical_url: { $in: [targetClean, targetClean + "/"] },
-      };
+      });
       if (queryOptions.type) query.type = queryOptions.type;
 
       items = await collection
@@ -199,98 +315,7 @@ async function apiMentions(request, response) {
       .map((c) => c.url)
       .filter(Boolean);
 
-    const postsCollection = application.collections?.get("posts");
-    if (postsCollection) {
-      const siteUrl = application.publication?.me || application.url || "";
-      const ownerName =
-        process.env.AUTHOR_NAME ||
-        (siteUrl ? new URL(siteUrl).hostname : "Owner");
-
-      // Find the canonical post to get its syndication URLs
-      // Interactions on syndicated copies (e.g., Bluesky replies to the bsky.app
-      // syndicated post) arrive via webmention.io but not conversations DB.
-      // Owner replies to those interactions have in-reply-to pointing to external
-      // URLs (bsky.app, mastodon, etc.) — we need to find them too.
-      let syndicationDomains = [];
-      if (target) {
-        const targetWithout = target.endsWith("/") ? target.slice(0, -1) : target;
-        const canonicalPost = await postsCollection.findOne({
-          $or: [
-            { "properties.url": target },
-            { "properties.url": targetWithout },
-          ],
-        });
-        if (canonicalPost?.properties?.syndication) {
-          const syns = Array.isArray(canonicalPost.properties.syndication)
-            ? canonicalPost.properties.syndication
-            : [canonicalPost.properties.syndication];
-          for (const syn of syns) {
-            try {
-              const domain = new URL(syn).hostname;
-              if (domain && !domain.includes(new URL(siteUrl).hostname)) {
-                syndicationDomains.push(domain);
-              }
-            } catch { /* skip invalid URLs */ }
-          }
-        }
-      }
-
-      // Build query: replies to known conversation URLs OR replies to URLs
-      // on syndication domains (for webmention.io items not in our DB)
-      const orClauses = [];
-      if (replyUrls.length > 0) {
-        orClauses.push({ "properties.in-reply-to": { $in: replyUrls } });
-      }
-      for (const domain of syndicationDomains) {
-        orClauses.push({
-          "properties.in-reply-to": { $regex: domain.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") },
-        });
-      }
-
-      let ownerPosts = [];
-      if (orClauses.length > 0) {
-        ownerPosts = await postsCollection
-          .find({ $or: orClauses })
-          .sort({ "properties.published": -1 })
-          .limit(50)
-          .toArray();
-      }
-
-      for (const post of ownerPosts) {
-        const inReplyTo = post.properties?.["in-reply-to"];
-        if (!inReplyTo || typeof inReplyTo !== "string") continue;
-
-        // Include syndication URLs so the frontend can match the Bridgy
-        // echo (webmention.io returns the syndicated URL as the item's url)
-        const syndication = post.properties?.syndication;
-        const synUrls = Array.isArray(syndication)
-          ? syndication
-          : syndication ? [syndication] : [];
-
-        children.push({
-          type: "entry",
-          "wm-id": `owner-reply-${post._id}`,
-          "wm-property": "in-reply-to",
-          "wm-target": target || "",
-          "wm-received": post.properties?.published || "",
-          author: {
-            type: "card",
-            name: ownerName,
-            url: siteUrl,
-            photo: process.env.AUTHOR_AVATAR || "",
-          },
-          url: post.properties?.url || "",
-          published: post.properties?.published || "",
-          content: {
-            text: post.properties?.content?.text || "",
-            html: post.properties?.content?.html || "",
-          },
-          is_owner: true,
-          parent_url: inReplyTo,
-          syndication: synUrls,
-        });
-      }
-    }
+    children.push(...(await findOwnerReplies(application, target, replyUrls)));
 
     // Build owner identity URLs so the frontend can detect self-authored
     // items from any source (webmention.io, Bridgy, etc.). The owner may
@@ -330,6 +355,181 @@ async function apiMentions(request, response) {
   }
 }
 
+/**
+ * Threaded replies API
+ * GET /conversations/api/threads?target=
+ * Returns the replies to one post as a nested tree, owner replies included
+ * at the depth of the reply they answer.
+ */
+async function apiThreads(request, response) {
+  const { application } = request.app.locals;
+
+  try {
+    const target = request.query.target || null;
+    if (!target) {
+      return response.status(400).json({ error: "Missing target parameter" });
+    }
+
+    const collection = application.collections?.get("conversation_items");
+    if (!collection) {
+      return response.status(503).json({ error: "Database unavailable" });
+    }
+
+    const targetClean = target.replace(/\/$/, "");
+    const items = await collection
+      .find(
+        liveItemsQuery({
+          canonical_url: { $in: [targetClean, targetClean + "/"] },
+          type: "reply",
+        }),
+      )
+      .sort({ created_at: 1 })
+      .limit(MAX_THREAD_REPLIES)
+      .toArray();
+
+    // Replies are known by their URL, AT URI and Bridgy URL, and point
+    // at their parent by AT URI (Bluesky) or URL
+    const nodes = items.map((item) => ({
+      entry: conversationItemToJf2(item),
+      refs: [item.url, item.at_uri, item.bridgy_url].filter(Boolean),
+      parents: [item.in_reply_to_uri, item.in_reply_to].filter(Boolean),
+    }));
+
+    // Owner replies are known by their own URL and their syndicated copies
+    const replyUrls = [
+      targetClean,
+      targetClean + "/",
+      ...nodes.flatMap((node) => node.refs),
+    ];
+    for (const entry of await findOwnerReplies(application, target, replyUrls)) {
+      nodes.push({
+        entry,
+        refs: [entry.url, ...entry.syndication].filter(Boolean),
+        parents: [entry.parent_url],
+      });
+    }
+
+    response.set("Cache-Control", "public, max-age=60");
+    response.json({
+      type: "feed",
+      name: "Conversations",
+      target: targetClean,
+      count: nodes.length,
+      children: buildThreadTree(nodes),
+    });
+  } catch (error) {
+    console.error("[Conversations] Threads API error:", error.message);
+    response.status(500).json({ error: "Failed to fetch conversations" });
+  }
+}
+
+/**
+ * Owner replies from the posts collection, as JF2 entries
+ * Owner replies are Micropub posts with in-reply-to matching an interaction
+ * URL, or a URL on one of the domains the target post was syndicated to.
+ * @param {object} application - Indiekit application
+ * @param {string|null} target - Canonical post URL (if known)
+ * @param {Array<string>} replyUrls - URLs of the replies to look for
+ * @returns {Promise<Array>} JF2 entries with is_owner, parent_url and syndication
+ */
+async function findOwnerReplies(application, target, replyUrls) {
+  const postsCollection = application.collections?.get("posts");
+  if (!postsCollection) return [];
+
+  const siteUrl = application.publication?.me || application.url || "";
+  const ownerName =
+    process.env.AUTHOR_NAME ||
+    (siteUrl ? new URL(siteUrl).hostname : "Owner");
+
+  // Find the canonical post to get its syndication URLs
+  // Interactions on syndicated copies (e.g., Bluesky replies to the bsky.app
+  // syndicated post) arrive via webmention.io but not conversations DB.
+  // Owner replies to those interactions have in-reply-to pointing to external
+  // URLs (bsky.app, mastodon, etc.) — we need to find them too.
+  let syndicationDomains = [];
+  if (target) {
+    const targetWithout = target.endsWith("/") ? target.slice(0, -1) : target;
+    const canonicalPost = await postsCollection.findOne({
+      $or: [
+        { "properties.url": target },
+        { "properties.url": targetWithout },
+      ],
+    });
+    if (canonicalPost?.properties?.syndication) {
+      const syns = Array.isArray(canonicalPost.properties.syndication)
+        ? canonicalPost.properties.syndication
+        : [canonicalPost.properties.syndication];
+      for (const syn of syns) {
+        try {
+          const domain = new URL(syn).hostname;
+          if (domain && !domain.includes(new URL(siteUrl).hostname)) {
+            syndicationDomains.push(domain);
+          }
+        } catch { /* skip invalid URLs */ }
+      }
+    }
+  }
+
+  // Build query: replies to known conversation URLs OR replies to URLs
+  // on syndication domains (for webmention.io items not in our DB)
+  const orClauses = [];
+  if (replyUrls.length > 0) {
+    orClauses.push({ "properties.in-reply-to": { $in: replyUrls } });
+  }
+  for (const domain of syndicationDomains) {
+    orClauses.push({
+      "properties.in-reply-to": { $regex: domain.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") },
+    });
+  }
+
+  let ownerPosts = [];
+  if (orClauses.length > 0) {
+    ownerPosts = await postsCollection
+      .find({ $or: orClauses })
+      .sort({ "properties.published": -1 })
+      .limit(50)
+      .toArray();
+  }
+
+  const entries = [];
+  for (const post of ownerPosts) {
+    const inReplyTo = post.properties?.["in-reply-to"];
+    if (!inReplyTo || typeof inReplyTo !== "string") continue;
+
+    // Include syndication URLs so the frontend can match the Bridgy
+    // echo (webmention.io returns the syndicated URL as the item's url)
+    const syndication = post.properties?.syndication;
+    const synUrls = Array.isArray(syndication)
+      ? syndication
+      : syndication ? [syndication] : [];
+
+    entries.push({
+      type: "entry",
+      "wm-id": `owner-reply-${post._id}`,
+      "wm-property": "in-reply-to",
+      "wm-target": target || "",
+      "wm-received": post.properties?.published || "",
+      author: {
+        type: "card",
+        name: ownerName,
+        url: siteUrl,
+        photo: process.env.AUTHOR_AVATAR || "",
+      },
+      url: post.properties?.url || "",
+      published: post.properties?.published || "",
+      content: {
+        text: post.properties?.content?.text || "",
+        html: post.properties?.content?.html || "",
+      },
+      is_owner: true,
+      parent_url: inReplyTo,
+      syndication: synUrls,
+    });
+  }
+
+  return entries;
+}
+
 /**
  * Connection status API (for health checks)
  * GET /conversations/api/status
@@ -348,20 +548,35 @@ async function apiStatus(request, response) {
 
     const totalItems = await getConversationCount(application);
 
+    const accounts = (await getAccountStatuses(application)).map(
+      ({ state, ...account }) => ({
+        ...account,
+        lastCursor: state.since_id || state.newest_indexed_at || null,
+        lastError: state.last_error || null,
+        lastPoll: state.last_poll || null,
+        stream: state.stream_status || null,
+      }),
+    );
+
+    // mastodon/bluesky describe the first account of each platform
+    const mastodon = accounts.find((a) => a.platform === "mastodon");
+    const bluesky = accounts.find((a) => a.platform === "bluesky");
+
     response.json({
       status: "ok",
       mastodon: {
         enabled: !!config.mastodonEnabled,
-        lastCursor: pollState?.mastodon_since_id || null,
-        lastError: pollState?.mastodon_last_error || null,
-        lastPoll: pollState?.mastodon_last_poll || null,
+        lastCursor: mastodon?.lastCursor || null,
+        lastError: mastodon?.lastError || null,
+        lastPoll: mastodon?.lastPoll || null,
       },
       bluesky: {
         enabled: !!config.blueskyEnabled,
-        lastCursor: pollState?.bluesky_cursor || null,
-        lastError: pollState?.bluesky_last_error || null,
-        lastPoll: pollState?.bluesky_last_poll || null,
+        lastCursor: bluesky?.lastCursor || null,
+        lastError: bluesky?.lastError || null,
+        lastPoll: bluesky?.lastPoll || null,
       },
+      accounts,
       activitypub: {
         enabled: !!config.activitypubEnabled,
         lastCursor: pollState?.activitypub_last_received_at || null,
@@ -401,14 +616,59 @@ async function triggerPoll(request, response) {
 /**
  * Ingest a webmention
  * POST /conversations/ingest
- * Accepts webmention data (JSON or form-encoded), classifies and stores it
+ * Accepts webmention data (JSON or form-encoded), classifies and stores it.
+ * When ingest secrets are configured the request must carry a matching
+ * `secret` body field or HMAC signature header.
  */
 async function ingest(request, response) {
   const { application } = request.app.locals;
   const siteUrl = application.url || process.env.SITE_URL;
+  const limits = getIngestLimits(application.conversations || {});
 
   try {
-    const webmention = request.body;
+    const ipLimit = await checkRateLimit(
+      application,
+      "ip",
+      request.ip,
+      limits.ipPerWindow,
+      limits.window,
+    );
+    if (!ipLimit.ok) {
+      return rejectIngest(application, request, response, {
+        status: 429,
+        reason: "rate_limited_ip",
+        retryAfter: ipLimit.retryAfter,
+      });
+    }
+
+    if (limits.maxPayloadBytes && payloadSize(request) > limits.maxPayloadBytes) {
+      return rejectIngest(application, request, response, {
+        status: 413,
+        reason: "payload_too_large",
+      });
+    }
+
+    const auth = verifyIngestRequest(request, application.conversations || {});
+    if (!auth.ok) {
+      console.warn(
+        `[Conversations] Ingest rejected (${auth.reason}) from ${request.ip}`,
+      );
+      await recordIngestRejection(application, {
+        reason: auth.reason,
+        ip: request.ip,
+      }).catch(() => {});
+      return response
+        .status(auth.status)
+        .json({ error: auth.error || "Unauthorized" });
+    }
+
+    if (auth.keyName) {
+      await recordIngestAccepted(application, auth.keyName).catch(() => {});
+    }
+
+    // Never let the shared secret travel further than authentication
+    const { secret: _secret, ...body } = request.body || {};
+    const webmention = normalizeWebhookPayload(body);
 
     // Validate required fields
     if (!webmention?.source || !webmention?.target) {
@@ -434,15 +694,68 @@ async function ingest(request, response) {
       });
     }
 
-    // Classify the webmention
-    const classification = classifyWebmention(webmention);
+    const domain = sourceDomain(webmention);
+    const domainLimit = await checkRateLimit(
+      application,
+      "domain",
+      domain,
+      limits.domainPerWindow,
+      limits.window,
+    );
+    if (!domainLimit.ok) {
+      return rejectIngest(application, request, response, {
+        status: 429,
+        reason: "rate_limited_domain",
+        domain,
+        retryAfter: domainLimit.retryAfter,
+      });
+    }
 
-    // Resolve canonical URL (target may be a syndication URL)
+    if (
+      limits.maxContentLength &&
+      contentLength(webmention) > limits.maxContentLength
+    ) {
+      return rejectIngest(application, request, response, {
+        status: 413,
+        reason: "content_too_long",
+        domain,
+      });
+    }
+
+    // Target must be one of our posts (or a known syndicated copy)
     const canonicalUrl = await resolveCanonicalUrl(
       application,
       webmention.target,
       siteUrl,
     );
+    if (siteUrl && !isSiteUrl(canonicalUrl, siteUrl)) {
+      return rejectIngest(application, request, response, {
+        status: 400,
+        reason: "foreign_target",
+        domain,
+      });
+    }
+
+    // Deleted webmention (webmention.io) — retract the stored item
+    if (isDeletedPayload(webmention)) {
+      const count = await tombstoneConversationItems(
+        application,
+        {
+          canonical_url: canonicalUrl,
+          $or: [
+            { url: webmention.source },
+            { platform_id: generatePlatformId(webmention) },
+            { platform_ids: generatePlatformId(webmention) },
+          ],
+        },
+        "deleted",
+        "webhook",
+      );
+      return response.status(200).json({ status: "deleted", count });
+    }
+
+    // Classify the webmention
+    const classification = classifyWebmention(webmention);
 
     // Build conversation item
     const item = {
@@ -455,24 +768,258 @@ async function ingest(request, response) {
         url: webmention.source,
       },
       content: webmention.content?.text || webmention.content?.html || null,
-      url: webmention.source,
+      // The original post URL (Bridgy sends it alongside the brid.gy source)
+      // lets identity resolution match copies polled from the platform API
+      url: webmention.url || webmention.source,
       bridgy_url: classification.bridgy_url,
       platform_id: generatePlatformId(webmention),
     };
+    if (webmention.published) item.created_at = webmention.published;
+    if (webmention.photo?.length > 0) item.photo = [webmention.photo].flat();
+    if (item.type === "reply") item.in_reply_to = replyParent(webmention);
+
+    // Checked before anything is fetched for the webmention. Blocked
+    // authors get the same response, so a block isn't revealed.
+    const blocklist = await loadBlocklist(application);
+    if (blocklist.isBlocked(item)) {
+      console.info(`[Conversations] Ingest blocked: ${webmention.source}`);
+      return response.status(202).json({ status: "accepted", classification });
+    }
+
+    // Direct webmentions from the open web carry no author or type.
+    // Rather than guessing, they join the webmention receiver queue,
+    // which fetches the source in the background, reads its
+    // microformats and stores the item once the link is verified.
+    const config = application.conversations || {};
+    if (
+      config.parseMicroformats !== false &&
+      !webmention.author &&
+      !webmention["wm-property"] &&
+      classification.source === "webmention"
+    ) {
+      await queueWebmention(application, {
+        source: webmention.source,
+        target: webmention.target,
+        canonical_url: canonicalUrl,
+      });
+      processWebmentionQueue(application).catch((error) => {
+        console.error(
+          "[Conversations] Webmention verification error:",
+          error.message,
+        );
+      });
+      return response.status(202).json({ status: "accepted", classification });
+    }
 
     await upsertConversationItem(application, item);
 
     response.status(202).json({ status: "accepted", classification });
   } catch (error) {
     console.error("[Conversations] Ingest error:", error.message);
-    response.status(500).json({ error: error.message });
+    response.status(500).json({ error: "Failed to process webmention" });
+  }
+}
+
+/**
+ * Messages for requests rejected by abuse protection
+ * Generic on purpose — nothing about limits or internals is echoed back.
+ */
+const ingestRejectionMessages = {
+  rate_limited_ip: "Too many requests",
+  rate_limited_domain: "Too many requests",
+  payload_too_large: "Payload too large",
+  content_too_long: "Content too long",
+  foreign_target: "target is not a valid resource on this site",
+};
+
+/**
+ * Reject an /ingest or /webmention request and record it for the abuse panel
+ * @param {object} application - Indiekit application
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} rejection - { status, reason, domain, retryAfter }
+ * @returns {object} Express response
+ */
+async function rejectIngest(application, request, response, rejection) {
+  console.warn(
+    `[Conversations] Ingest rejected (${rejection.reason}) from ${request.ip}` +
+      (rejection.domain ? ` for ${rejection.domain}` : ""),
+  );
+  await recordIngestAbuse(application, {
+    reason: rejection.reason,
+    ip: request.ip,
+    domain: rejection.domain,
+  }).catch(() => {});
+
+  if (rejection.retryAfter) {
+    response.set("Retry-After", String(rejection.retryAfter));
+  }
+
+  return response
+    .status(rejection.status)
+    .json({ error: ingestRejectionMessages[rejection.reason] });
+}
+
+/**
+ * Receive a W3C Webmention
+ * POST /conversations/webmention
+ * Accepts form-encoded source + target, queues the webmention for
+ * asynchronous verification and returns 202 with a status URL. Each
+ * webmention makes us fetch its source, so the /ingest rate limits
+ * apply here too.
+ */
+async function receiveWebmention(request, response) {
+  const { application } = request.app.locals;
+  const siteUrl = application.url || process.env.SITE_URL;
+  const limits = getIngestLimits(application.conversations || {});
+
+  try {
+    const ipLimit = await checkRateLimit(
+      application,
+      "ip",
+      request.ip,
+      limits.ipPerWindow,
+      limits.window,
+    );
+    if (!ipLimit.ok) {
+      return rejectIngest(application, request, response, {
+        status: 429,
+        reason: "rate_limited_ip",
+        retryAfter: ipLimit.retryAfter,
+      });
+    }
+
+    const source = request.body?.source;
+    const target = request.body?.target;
+
+    if (!source || !target) {
+      return response.status(400).json({
+        error: "source and target are required",
+      });
+    }
+
+    let sourceUrl;
+    let targetUrl;
+    try {
+      sourceUrl = new URL(source);
+      targetUrl = new URL(target);
+    } catch {
+      return response.status(400).json({
+        error: "source and target must be valid URLs",
+      });
+    }
+
+    if (
+      !["http:", "https:"].includes(sourceUrl.protocol) ||
+      !["http:", "https:"].includes(targetUrl.protocol)
+    ) {
+      return response.status(400).json({
+        error: "source and target must be http(s) URLs",
+      });
+    }
+
+    if (source === target) {
+      return response.status(400).json({
+        error: "source and target must be different URLs",
+      });
+    }
+
+    const domain = sourceDomain({ source });
+    const domainLimit = await checkRateLimit(
+      application,
+      "domain",
+      domain,
+      limits.domainPerWindow,
+      limits.window,
+    );
+    if (!domainLimit.ok) {
+      return rejectIngest(application, request, response, {
+        status: 429,
+        reason: "rate_limited_domain",
+        domain,
+        retryAfter: domainLimit.retryAfter,
+      });
+    }
+
+    // Target must be one of our posts (or a known syndicated copy)
+    const canonicalUrl = await resolveCanonicalUrl(
+      application,
+      target,
+      siteUrl,
+    );
+    if (siteUrl && !isSiteUrl(canonicalUrl, siteUrl)) {
+      return rejectIngest(application, request, response, {
+        status: 400,
+        reason: "foreign_target",
+        domain,
+      });
+    }
+
+    const id = await queueWebmention(application, {
+      source,
+      target,
+      canonical_url: canonicalUrl,
+    });
+
+    // Verify in the background — the sender only needs the status URL
+    processWebmentionQueue(application).catch((error) => {
+      console.error(
+        "[Conversations] Webmention verification error:",
+        error.message,
+      );
+    });
+
+    const mountPath = application.conversations?.mountPath || "/conversations";
+    const statusPath = `${mountPath}/webmention/${id}`;
+    const statusUrl = siteUrl
+      ? new URL(statusPath, siteUrl).href
+      : statusPath;
+
+    response.set("Location", statusUrl);
+    response.status(202).json({ status: "pending", id, location: statusUrl });
+  } catch (error) {
+    console.error("[Conversations] Webmention receive error:", error.message);
+    response.status(500).json({ error: "Failed to accept webmention" });
+  }
+}
+
+/**
+ * Webmention verification status
+ * GET /conversations/webmention/:id
+ */
+async function webmentionStatus(request, response) {
+  const { application } = request.app.locals;
+
+  try {
+    const entry = await getWebmention(application, request.params.id);
+
+    if (!entry) {
+      return response.status(404).json({ error: "Webmention not found" });
+    }
+
+    response.set("Cache-Control", "no-cache");
+    response.json({
+      id: entry._id,
+      source: entry.source,
+      target: entry.target,
+      status: entry.status,
+      error: entry.error || null,
+      received_at: entry.received_at,
+      verified_at: entry.verified_at || null,
+    });
+  } catch (error) {
+    console.error("[Conversations] Webmention status error:", error.message);
+    response.status(500).json({ error: "Failed to fetch webmention status" });
   }
 }
 
 export const conversationsController = {
   dashboard,
   apiMentions,
+  apiThreads,
   apiStatus,
   triggerPoll,
   ingest,
+  receiveWebmention,
+  webmentionStatus,
 };
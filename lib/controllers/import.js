@@ -0,0 +1,226 @@
+/**
+ * Import controller
+ * Admin import of historical interactions from a webmention.io JF2 export.
+ * Uploading produces a dry-run preview; nothing is stored until the
+ * preview is committed. The preview's stats live in conversation_state,
+ * its items (one document each, as exports can be large) in
+ * conversation_import_items.
+ * @module controllers/import
+ */
+
+import {
+  commitImport,
+  parseExport,
+  previewImport,
+} from "../ingestion/webmention-io-import.js";
+
+const PREVIEW_ID = "import_preview";
+const SAMPLE_SIZE = 50;
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Import page — upload form, or the pending preview if there is one
+ * GET /conversations/import
+ */
+async function form(request, response) {
+  const { application } = request.app.locals;
+  const config = application.conversations || {};
+
+  try {
+    const preview = await getPreview(application);
+
+    response.render("conversations-import", {
+      title: response.__
+        ? response.__("conversations.import.title")
+        : "Import from webmention.io",
+      preview: preview ? await summarizePreview(application, preview) : null,
+      errorCode: ["no_file", "import_failed"].includes(request.query.error)
+        ? request.query.error
+        : null,
+      result: request.query.imported
+        ? {
+            imported: Number(request.query.imported) || 0,
+            skipped: Number(request.query.skipped) || 0,
+          }
+        : null,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  } catch (error) {
+    console.error("[Conversations] Import page error:", error.message);
+    response.status(500).render("conversations-import", {
+      title: "Import from webmention.io",
+      error: error.message,
+      preview: null,
+      result: null,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  }
+}
+
+/**
+ * Parse an uploaded export and store a dry-run preview
+ * POST /conversations/import
+ */
+async function preview(request, response) {
+  const { application } = request.app.locals;
+  const config = application.conversations || {};
+  const baseUrl = config.mountPath || "/conversations";
+  const siteUrl = application.url || process.env.SITE_URL;
+
+  try {
+    if (!request.file?.buffer) {
+      return response.redirect(`${baseUrl}/import?error=no_file`);
+    }
+
+    const entries = parseExport(request.file.buffer);
+    const { items, stats } = await previewImport(application, entries, siteUrl);
+
+    await discardPreview(application);
+
+    const itemsCollection = application.collections.get(
+      "conversation_import_items",
+    );
+    for (let start = 0; start < items.length; start += INSERT_BATCH_SIZE) {
+      await itemsCollection.insertMany(
+        items
+          .slice(start, start + INSERT_BATCH_SIZE)
+          .map((item, offset) => ({ _id: start + offset, item })),
+        { ordered: false },
+      );
+    }
+
+    const typeCounts = {};
+    for (const item of items) {
+      typeCounts[item.type] = (typeCounts[item.type] || 0) + 1;
+    }
+
+    const stateCollection = application.collections.get("conversation_state");
+    await stateCollection.replaceOne(
+      { _id: PREVIEW_ID },
+      {
+        filename: request.file.originalname || "mentions.jf2",
+        created_at: new Date().toISOString(),
+        stats,
+        typeCounts,
+      },
+      { upsert: true },
+    );
+
+    response.redirect(`${baseUrl}/import`);
+  } catch (error) {
+    console.error("[Conversations] Import preview error:", error.message);
+    response.status(400).render("conversations-import", {
+      title: "Import from webmention.io",
+      error: error.message,
+      preview: null,
+      result: null,
+      baseUrl,
+    });
+  }
+}
+
+/**
+ * Store the previewed items
+ * POST /conversations/import/commit
+ */
+async function commit(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  try {
+    const pending = await getPreview(application);
+    if (!pending) {
+      return response.redirect(`${baseUrl}/import`);
+    }
+
+    const { imported, skipped } = await commitImport(
+      application,
+      previewItems(application).map((doc) => doc.item),
+    );
+    await discardPreview(application);
+
+    console.info(
+      `[Conversations] webmention.io import: stored ${imported}, skipped ${skipped} duplicates`,
+    );
+
+    response.redirect(
+      `${baseUrl}/import?imported=${imported}&skipped=${skipped}`,
+    );
+  } catch (error) {
+    console.error("[Conversations] Import commit error:", error.message);
+    response.redirect(`${baseUrl}/import?error=import_failed`);
+  }
+}
+
+/**
+ * Throw away the pending preview
+ * POST /conversations/import/discard
+ */
+async function discard(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  try {
+    await discardPreview(application);
+  } catch (error) {
+    console.error("[Conversations] Import discard error:", error.message);
+  }
+
+  response.redirect(`${baseUrl}/import`);
+}
+
+/**
+ * @param {object} application - Indiekit application
+ * @returns {Promise<object|null>} Stored preview
+ */
+async function getPreview(application) {
+  const stateCollection = application.collections?.get("conversation_state");
+  if (!stateCollection) return null;
+  return stateCollection.findOne({ _id: PREVIEW_ID });
+}
+
+/**
+ * Items of the stored preview, in export order
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB cursor of { _id, item } documents
+ */
+function previewItems(application) {
+  return application.collections
+    .get("conversation_import_items")
+    .find({})
+    .sort({ _id: 1 });
+}
+
+/**
+ * @param {object} application - Indiekit application
+ */
+async function discardPreview(application) {
+  const stateCollection = application.collections.get("conversation_state");
+  await stateCollection.deleteOne({ _id: PREVIEW_ID });
+  await application.collections.get("conversation_import_items").deleteMany({});
+}
+
+/**
+ * Reduce a stored preview to what the page shows
+ * @param {object} application - Indiekit application
+ * @param {object} preview - Stored preview document
+ * @returns {Promise<object>} Stats, per-type counts and a sample of new items
+ */
+async function summarizePreview(application, preview) {
+  const sample = await previewItems(application).limit(SAMPLE_SIZE).toArray();
+
+  return {
+    filename: preview.filename,
+    created_at: preview.created_at,
+    stats: preview.stats,
+    typeCounts: preview.typeCounts || {},
+    sample: sample.map((doc) => doc.item),
+  };
+}
+
+export const importController = {
+  form,
+  preview,
+  commit,
+  discard,
+};
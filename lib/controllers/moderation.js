@@ -0,0 +1,157 @@
+/**
+ * Moderation controller
+ * Admin queue of pending interactions with approve, reject and
+ * "always trust this author" actions
+ * @module controllers/moderation
+ */
+
+import {
+  approveAuthorItems,
+  getModerationCounts,
+  getModerationQueue,
+  getTrustedAuthors,
+  isModerationEnabled,
+  setModerationStatus,
+  trustAuthor,
+  untrustAuthor,
+} from "../moderation/moderation.js";
+import { propagateSalmentions } from "../storage/conversation-items.js";
+
+/**
+ * Moderation queue page
+ * GET /conversations/moderation
+ */
+async function queue(request, response) {
+  const { application } = request.app.locals;
+  const config = application.conversations || {};
+
+  try {
+    const [items, counts, trustedAuthors] = await Promise.all([
+      getModerationQueue(application),
+      getModerationCounts(application),
+      getTrustedAuthors(application),
+    ]);
+
+    response.render("conversations-moderation", {
+      title: response.__
+        ? response.__("conversations.moderation.title")
+        : "Moderation",
+      moderationEnabled: isModerationEnabled(application),
+      items,
+      counts,
+      trustedAuthors,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  } catch (error) {
+    console.error("[Conversations] Moderation queue error:", error.message);
+    response.status(500).render("conversations-moderation", {
+      title: "Moderation",
+      error: error.message,
+      items: [],
+      counts: { pending: 0, rejected: 0 },
+      trustedAuthors: [],
+      baseUrl: config.mountPath || "/conversations",
+    });
+  }
+}
+
+/**
+ * Approve an item; its author skips the queue from now on, so their
+ * other pending items are approved as well
+ * POST /conversations/moderation/approve
+ */
+async function approve(request, response) {
+  await moderate(request, response, async (application, key) => {
+    const item = await setModerationStatus(application, key, "approved");
+    if (!item) return;
+
+    await trustAuthor(application, item.author, "approved");
+    await propagateSalmentions(application, item);
+    const approved = await approveAuthorItems(application, item.author?.url);
+    console.info(
+      `[Conversations] Approved ${approved + 1} items by ${item.author?.url}`,
+    );
+  });
+}
+
+/**
+ * Reject an item
+ * POST /conversations/moderation/reject
+ */
+async function reject(request, response) {
+  await moderate(request, response, async (application, key) => {
+    await setModerationStatus(application, key, "rejected");
+  });
+}
+
+/**
+ * Always trust the item's author: approve everything they have pending
+ * POST /conversations/moderation/trust
+ */
+async function trust(request, response) {
+  await moderate(request, response, async (application, key) => {
+    const item = await setModerationStatus(application, key, "approved");
+    if (!item) return;
+
+    await trustAuthor(application, item.author, "trusted");
+    await propagateSalmentions(application, item);
+    const approved = await approveAuthorItems(application, item.author?.url);
+    console.info(
+      `[Conversations] Trusted ${item.author?.url}, approved ${approved + 1} items`,
+    );
+  });
+}
+
+/**
+ * Remove an author from the trusted list
+ * POST /conversations/moderation/untrust
+ */
+async function untrust(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+
+  try {
+    if (request.body?.author_key) {
+      await untrustAuthor(application, request.body.author_key);
+    }
+  } catch (error) {
+    console.error("[Conversations] Untrust error:", error.message);
+  }
+
+  response.redirect(`${baseUrl}/moderation`);
+}
+
+/**
+ * Run a moderation action on the item named in the form body
+ * Items are addressed by their dedup key (canonical_url + platform_id).
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {Function} action - async (application, key) => void
+ */
+async function moderate(request, response, action) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+  const { canonical_url: canonicalUrl, platform_id: platformId } =
+    request.body || {};
+
+  try {
+    if (canonicalUrl && platformId) {
+      await action(application, {
+        canonical_url: canonicalUrl,
+        platform_id: platformId,
+      });
+    }
+  } catch (error) {
+    console.error("[Conversations] Moderation error:", error.message);
+  }
+
+  response.redirect(`${baseUrl}/moderation`);
+}
+
+export const moderationController = {
+  queue,
+  approve,
+  reject,
+  trust,
+  untrust,
+};
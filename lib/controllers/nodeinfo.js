@@ -0,0 +1,103 @@
+/**
+ * NodeInfo cache controller
+ * Admin view of the server software resolved for fediverse instances,
+ * with manual refresh and purge of cached entries.
+ * @module controllers/nodeinfo
+ */
+
+import {
+  getNodeInfoEntries,
+  purgeNodeInfo,
+  resolveNodeInfo,
+} from "../nodeinfo/resolver.js";
+
+/**
+ * NodeInfo cache page
+ * GET /conversations/nodeinfo
+ */
+async function list(request, response) {
+  const { application } = request.app.locals;
+  const config = application.conversations || {};
+
+  try {
+    const entries = await getNodeInfoEntries(
+      application.collections?.get("nodeinfo_cache"),
+    );
+
+    response.render("conversations-nodeinfo", {
+      title: response.__
+        ? response.__("conversations.nodeinfo.title")
+        : "Instance cache",
+      entries,
+      result: request.query.refreshed
+        ? { refreshed: request.query.refreshed }
+        : request.query.purged
+          ? { purged: Number(request.query.purged) || 0 }
+          : null,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  } catch (error) {
+    console.error("[Conversations] NodeInfo page error:", error.message);
+    response.status(500).render("conversations-nodeinfo", {
+      title: "Instance cache",
+      error: error.message,
+      entries: [],
+      result: null,
+      baseUrl: config.mountPath || "/conversations",
+    });
+  }
+}
+
+/**
+ * Resolve one domain again
+ * POST /conversations/nodeinfo/refresh
+ */
+async function refresh(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+  const domain = String(request.body?.domain || "").trim().toLowerCase();
+
+  if (!domain) return response.redirect(`${baseUrl}/nodeinfo`);
+
+  try {
+    await resolveNodeInfo(
+      domain,
+      application.collections?.get("nodeinfo_cache"),
+      { refresh: true },
+    );
+  } catch (error) {
+    console.error("[Conversations] NodeInfo refresh error:", error.message);
+  }
+
+  response.redirect(
+    `${baseUrl}/nodeinfo?refreshed=${encodeURIComponent(domain)}`,
+  );
+}
+
+/**
+ * Remove one domain, or every entry when no domain is given
+ * POST /conversations/nodeinfo/purge
+ */
+async function purge(request, response) {
+  const { application } = request.app.locals;
+  const baseUrl = application.conversations?.mountPath || "/conversations";
+  const domain = String(request.body?.domain || "").trim().toLowerCase();
+
+  let purged = 0;
+  try {
+    purged = await purgeNodeInfo(
+      application.collections?.get("nodeinfo_cache"),
+      domain || undefined,
+    );
+  } catch (error) {
+    console.error("[Conversations] NodeInfo purge error:", error.message);
+  }
+
+  response.redirect(`${baseUrl}/nodeinfo?purged=${purged}`);
+}
+
+export const nodeinfoController = {
+  list,
+  refresh,
+  purge,
+};
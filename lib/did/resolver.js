@@ -0,0 +1,231 @@
+/**
+ * AT Protocol DID and handle resolver
+ * Resolves DIDs (did:plc via the PLC directory, did:web via
+ * /.well-known/did.json) to their current handle, and handles back to
+ * DIDs. A handle only counts when it resolves back to the same DID,
+ * as AT Protocol requires. Results are cached in-memory and persisted
+ * to the did_cache collection; DIDs whose document can't be fetched are
+ * cached too, for a shorter time.
+ * @module did/resolver
+ */
+
+import { promises as dns } from "node:dns";
+
+const RESOLVE_TIMEOUT_MS = 5000;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day (handles can change)
+const FAILURE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const PLC_DIRECTORY = "https://plc.directory";
+
+// In-memory cache: did -> { handle, error, resolvedAt }
+const memoryCache = new Map();
+
+/**
+ * Resolve a DID to its verified handle
+ * @param {string} did - did:plc or did:web identifier
+ * @param {object} [collection] - Optional MongoDB collection for persistent cache
+ * @param {object} [options] - Options
+ * @param {boolean} [options.refresh] - Ignore cached entries
+ * @returns {Promise<object|null>} { did, handle } (handle null if unverified), or null if unresolvable
+ */
+export async function resolveDid(did, collection, options = {}) {
+  if (!/^did:(plc|web):/.test(did || "")) return null;
+
+  if (!options.refresh) {
+    const cached = memoryCache.get(did);
+    if (cached && isFresh(cached)) return cachedResult(did, cached);
+
+    if (collection) {
+      try {
+        const doc = await collection.findOne({ _id: did });
+        if (doc) {
+          const entry = {
+            handle: doc.handle,
+            error: doc.error || null,
+            resolvedAt: new Date(doc.resolvedAt || 0).getTime(),
+          };
+          if (isFresh(entry)) {
+            memoryCache.set(did, entry);
+            return cachedResult(did, entry);
+          }
+        }
+      } catch { /* proceed to live fetch */ }
+    }
+  }
+
+  let entry;
+  try {
+    const document = await fetchDidDocument(did);
+
+    // The first at:// alias is the handle the DID claims
+    const claimed = (document.alsoKnownAs || [])
+      .find((alias) => alias.startsWith("at://"))
+      ?.slice("at://".length)
+      .toLowerCase();
+    const handle =
+      claimed && (await resolveHandleLive(claimed)) === did ? claimed : null;
+    entry = { handle, error: null };
+  } catch (error) {
+    // Deleted or unreachable identities are not looked up again until
+    // FAILURE_TTL_MS has passed
+    entry = { handle: null, error: error.message };
+  }
+  entry.resolvedAt = Date.now();
+  memoryCache.set(did, entry);
+
+  if (collection) {
+    try {
+      await collection.findOneAndUpdate(
+        { _id: did },
+        {
+          $set: {
+            handle: entry.handle,
+            error: entry.error,
+            resolvedAt: new Date(entry.resolvedAt).toISOString(),
+          },
+        },
+        { upsert: true },
+      );
+    } catch { /* non-critical */ }
+  }
+
+  return cachedResult(did, entry);
+}
+
+/**
+ * @param {string} did - DID
+ * @param {object} entry - Cache entry
+ * @returns {object|null} { did, handle }, or null for a failed lookup
+ */
+function cachedResult(did, entry) {
+  return entry.error ? null : { did, handle: entry.handle };
+}
+
+/**
+ * @param {object} entry - Cache entry
+ * @returns {boolean} Whether the entry can still be used
+ */
+function isFresh(entry) {
+  const ttl = entry.error ? FAILURE_TTL_MS : CACHE_TTL_MS;
+  return Date.now() - entry.resolvedAt < ttl;
+}
+
+/**
+ * Resolve a handle to its DID
+ * Uses a cached DID whose verified handle matches before asking the
+ * network.
+ * @param {string} handle - Bluesky handle (with or without leading @)
+ * @param {object} [collection] - Optional MongoDB collection for persistent cache
+ * @returns {Promise<string|null>} DID
+ */
+export async function resolveHandle(handle, collection) {
+  const normalized = String(handle || "").replace(/^@+/, "").toLowerCase();
+  if (!normalized || normalized.startsWith("did:")) return null;
+
+  for (const [did, entry] of memoryCache) {
+    if (
+      entry.handle === normalized &&
+      Date.now() - entry.resolvedAt < CACHE_TTL_MS
+    ) {
+      return did;
+    }
+  }
+
+  if (collection) {
+    try {
+      const doc = await collection.findOne({ handle: normalized });
+      if (
+        doc &&
+        Date.now() - new Date(doc.resolvedAt).getTime() < CACHE_TTL_MS
+      ) {
+        return doc._id;
+      }
+    } catch { /* proceed to live lookup */ }
+  }
+
+  const did = await resolveHandleLive(normalized);
+  if (!did) return null;
+
+  // Confirm through the DID document, which also caches the pair
+  const resolved = await resolveDid(did, collection, { refresh: true });
+  return resolved?.handle === normalized ? did : null;
+}
+
+/**
+ * Both forms of a bsky.app post or profile URL
+ * Syndication URLs and stored URLs may name the profile by handle or
+ * by DID; matching tries every form.
+ * @param {string} url - bsky.app URL
+ * @param {object} [collection] - Optional MongoDB collection for persistent cache
+ * @returns {Promise<Array<string>>} The URL itself, plus its DID and handle forms
+ */
+export async function blueskyUrlVariants(url, collection) {
+  const match = String(url || "").match(
+    /^(https:\/\/bsky\.app\/profile\/)([^/]+)(\/.*)?$/,
+  );
+  if (!match) return [url];
+
+  const [, prefix, profile, rest = ""] = match;
+  const variants = new Set([url]);
+
+  try {
+    if (profile.startsWith("did:")) {
+      const resolved = await resolveDid(profile, collection);
+      if (resolved?.handle) variants.add(`${prefix}${resolved.handle}${rest}`);
+    } else {
+      const did = await resolveHandle(profile, collection);
+      if (did) variants.add(`${prefix}${did}${rest}`);
+    }
+  } catch { /* match on the URL as given */ }
+
+  return [...variants];
+}
+
+/**
+ * Fetch a DID document
+ * @param {string} did - did:plc or did:web identifier
+ * @returns {Promise<object>} DID document
+ */
+async function fetchDidDocument(did) {
+  const url = did.startsWith("did:plc:")
+    ? `${PLC_DIRECTORY}/${did}`
+    : `https://${decodeURIComponent(did.slice("did:web:".length))}/.well-known/did.json`;
+
+  const response = await fetch(url, {
+    headers: { Accept: "application/json" },
+    signal: AbortSignal.timeout(RESOLVE_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`DID document returned ${response.status}`);
+  }
+
+  const document = await response.json();
+  if (document.id !== did) throw new Error("DID document is for another DID");
+  return document;
+}
+
+/**
+ * Resolve a handle via DNS (_atproto TXT record) or HTTPS well-known
+ * @param {string} handle - Lower-case handle
+ * @returns {Promise<string|null>} DID
+ */
+async function resolveHandleLive(handle) {
+  try {
+    const records = await dns.resolveTxt(`_atproto.${handle}`);
+    for (const record of records) {
+      const value = record.join("");
+      if (value.startsWith("did=")) return value.slice("did=".length);
+    }
+  } catch { /* fall back to HTTPS */ }
+
+  try {
+    const response = await fetch(`https://${handle}/.well-known/atproto-did`, {
+      signal: AbortSignal.timeout(RESOLVE_TIMEOUT_MS),
+    });
+    if (!response.ok) return null;
+
+    const did = (await response.text()).trim();
+    return did.startsWith("did:") ? did : null;
+  } catch {
+    return null;
+  }
+}
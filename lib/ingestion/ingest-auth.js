@@ -0,0 +1,179 @@
+/**
+ * Ingest authentication
+ * Verifies webhook requests to /ingest with a shared secret (the
+ * `secret` field webmention.io sends in the JSON body) or an HMAC
+ * signature header (Bridgy or custom senders). Signatures are checked
+ * against the raw request body, which the /ingest route keeps in
+ * request.rawBody. Indiekit parses JSON and form bodies before plugin
+ * routes run, so signed requests must use another content type
+ * (application/octet-stream). Several named secrets can be configured
+ * at once so they can be rotated.
+ * @module ingestion/ingest-auth
+ */
+
+import crypto from "node:crypto";
+
+const DEFAULT_SIGNATURE_HEADER = "x-hub-signature-256";
+const KEY_NAME_HEADER = "x-conversations-key";
+
+/**
+ * Collect configured ingest secrets
+ * Accepts `ingestSecrets` as an object ({ name: secret }) or an array
+ * of { name, secret }. CONVERSATIONS_INGEST_SECRET is added as "default".
+ * @param {object} config - Plugin options
+ * @returns {Array<{name: string, secret: string}>} Named secrets
+ */
+export function getIngestSecrets(config = {}) {
+  const secrets = [];
+  const configured = config.ingestSecrets;
+
+  if (Array.isArray(configured)) {
+    for (const entry of configured) {
+      if (entry?.secret) {
+        secrets.push({ name: String(entry.name || "default"), secret: String(entry.secret) });
+      }
+    }
+  } else if (configured && typeof configured === "object") {
+    for (const [name, secret] of Object.entries(configured)) {
+      if (secret) secrets.push({ name, secret: String(secret) });
+    }
+  }
+
+  if (
+    process.env.CONVERSATIONS_INGEST_SECRET &&
+    !secrets.some((s) => s.secret === process.env.CONVERSATIONS_INGEST_SECRET)
+  ) {
+    secrets.push({
+      name: "default",
+      secret: process.env.CONVERSATIONS_INGEST_SECRET,
+    });
+  }
+
+  return secrets;
+}
+
+/**
+ * Verify an ingest request
+ * Without configured secrets every request is accepted (open mode).
+ * @param {object} request - Express request
+ * @param {object} config - Plugin options
+ * @returns {object} { ok, method, keyName } or { ok: false, reason, status, error }
+ */
+export function verifyIngestRequest(request, config = {}) {
+  const secrets = getIngestSecrets(config);
+  if (secrets.length === 0) {
+    return { ok: true, method: "none", keyName: null };
+  }
+
+  // webmention.io webhooks: shared secret in the JSON body
+  const bodySecret = request.body?.secret;
+  if (typeof bodySecret === "string" && bodySecret) {
+    const match = secrets.find((s) => safeEqual(bodySecret, s.secret));
+    if (match) return { ok: true, method: "secret", keyName: match.name };
+    return { ok: false, reason: "invalid_secret", status: 403 };
+  }
+
+  // HMAC signature header: "sha256=<hex>"
+  const headerName = (
+    config.ingestSignatureHeader || DEFAULT_SIGNATURE_HEADER
+  ).toLowerCase();
+  const signatureHeader = request.get?.(headerName) || request.headers?.[headerName];
+  if (signatureHeader) {
+    const signature = String(signatureHeader).replace(/^sha256=/i, "").trim();
+
+    // Only the bytes as sent can be verified; a re-serialized body
+    // rarely matches what the sender signed. JSON and form bodies were
+    // already consumed by Indiekit's body parser.
+    const payload = request.rawBody;
+    if (!payload) {
+      return {
+        ok: false,
+        reason: "missing_raw_body",
+        status: 400,
+        error: "Signed requests must be sent as application/octet-stream",
+      };
+    }
+
+    // An optional key name header narrows the check to one secret
+    const keyName = request.get?.(KEY_NAME_HEADER) || request.headers?.[KEY_NAME_HEADER];
+    const candidates = keyName
+      ? secrets.filter((s) => s.name === keyName)
+      : secrets;
+
+    for (const candidate of candidates) {
+      const expected = crypto
+        .createHmac("sha256", candidate.secret)
+        .update(payload)
+        .digest("hex");
+      if (safeEqual(signature.toLowerCase(), expected)) {
+        return { ok: true, method: "hmac", keyName: candidate.name };
+      }
+    }
+
+    return { ok: false, reason: "invalid_signature", status: 403 };
+  }
+
+  return { ok: false, reason: "missing_credentials", status: 401 };
+}
+
+/**
+ * Record a rejected ingest request in conversation_state
+ * @param {object} application - Indiekit application
+ * @param {object} rejection - Rejection details
+ * @param {string} rejection.reason - Rejection reason
+ * @param {string} [rejection.ip] - Client IP address
+ */
+export async function recordIngestRejection(application, rejection) {
+  const stateCollection = application.collections?.get("conversation_state");
+  if (!stateCollection) return;
+
+  await stateCollection.findOneAndUpdate(
+    { _id: "ingest_auth" },
+    {
+      $inc: {
+        rejected_total: 1,
+        [`rejected_by_reason.${rejection.reason}`]: 1,
+      },
+      $set: {
+        last_rejected_at: new Date().toISOString(),
+        last_rejected_reason: rejection.reason,
+        last_rejected_ip: rejection.ip || null,
+      },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * Record which named secret authenticated a request
+ * Lets the dashboard show whether an old secret is still in use
+ * before it is rotated out.
+ * @param {object} application - Indiekit application
+ * @param {string} keyName - Secret name
+ */
+export async function recordIngestAccepted(application, keyName) {
+  const stateCollection = application.collections?.get("conversation_state");
+  if (!stateCollection || !keyName) return;
+
+  // Mongo field names can't contain dots or start with "$"
+  const field = keyName.replace(/[.$]/g, "_");
+
+  await stateCollection.findOneAndUpdate(
+    { _id: "ingest_auth" },
+    { $set: { [`last_accepted_by_key.${field}`]: new Date().toISOString() } },
+    { upsert: true },
+  );
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,191 @@
+/**
+ * Ingest abuse protection
+ * Rate limits, size limits and rejection bookkeeping for /ingest.
+ * Rate limit counters are fixed-window documents in
+ * conversation_rate_limits, so limits hold across restarts and across
+ * several instances sharing one database; a TTL index removes expired
+ * windows.
+ * @module ingestion/ingest-limits
+ */
+
+const defaultLimits = {
+  ipPerWindow: 120,
+  domainPerWindow: 60,
+  window: 60 * 1000,
+  maxPayloadBytes: 64 * 1024,
+  maxContentLength: 20_000,
+};
+
+/**
+ * Get the conversation_rate_limits collection
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections?.get("conversation_rate_limits");
+}
+
+/**
+ * Resolve ingest limits from plugin options
+ * A limit set to 0 is disabled.
+ * @param {object} config - Plugin options
+ * @returns {object} { ipPerWindow, domainPerWindow, window, maxPayloadBytes, maxContentLength }
+ */
+export function getIngestLimits(config = {}) {
+  return { ...defaultLimits, ...config.ingestLimits };
+}
+
+/**
+ * Count a request against a rate limit
+ * @param {object} application - Indiekit application
+ * @param {string} scope - "ip" or "domain"
+ * @param {string} key - IP address or domain
+ * @param {number} limit - Requests allowed per window (0 disables)
+ * @param {number} window - Window length in ms
+ * @returns {Promise<object>} { ok } or { ok: false, retryAfter } (seconds)
+ */
+export async function checkRateLimit(application, scope, key, limit, window) {
+  const collection = getCollection(application);
+  if (!collection || !key || !limit) return { ok: true };
+
+  const now = Date.now();
+  const windowStart = now - (now % window);
+  const windowEnd = windowStart + window;
+
+  const counter = await collection.findOneAndUpdate(
+    { _id: `${scope}:${key}:${windowStart}` },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: {
+        scope,
+        key,
+        limit,
+        window_start: new Date(windowStart).toISOString(),
+        expires_at: new Date(windowEnd),
+      },
+    },
+    { upsert: true, returnDocument: "after" },
+  );
+
+  if ((counter?.count || 0) <= limit) return { ok: true };
+
+  return { ok: false, retryAfter: Math.ceil((windowEnd - now) / 1000) };
+}
+
+/**
+ * Size of the request payload in bytes
+ * Uses Content-Length when the client sent it, otherwise the size of
+ * the parsed body re-serialized as JSON.
+ * @param {object} request - Express request
+ * @returns {number} Payload size
+ */
+export function payloadSize(request) {
+  const declared = Number(request.headers?.["content-length"]);
+  if (Number.isFinite(declared) && declared > 0) return declared;
+  return Buffer.byteLength(JSON.stringify(request.body || {}));
+}
+
+/**
+ * Length of the longest content field of a webmention payload
+ * @param {object} webmention - Normalized payload
+ * @returns {number} Characters
+ */
+export function contentLength(webmention) {
+  const content = webmention.content;
+  if (!content) return 0;
+  if (typeof content === "string") return content.length;
+  return Math.max(
+    String(content.text || "").length,
+    String(content.html || "").length,
+    String(content.value || "").length,
+  );
+}
+
+/**
+ * Domain a webmention is counted against
+ * Bridgy relays every silo response through brid.gy, so the original
+ * post URL (sent alongside) identifies the real origin better.
+ * @param {object} webmention - Normalized payload
+ * @returns {string|null} Lower-case hostname
+ */
+export function sourceDomain(webmention) {
+  const source = hostOf(webmention.source);
+  if (source && /(^|\.)brid\.gy$/.test(source)) {
+    return hostOf(webmention.url) || source;
+  }
+  return source;
+}
+
+/**
+ * Record a request rejected by abuse protection in conversation_state
+ * @param {object} application - Indiekit application
+ * @param {object} rejection - Rejection details
+ * @param {string} rejection.reason - Rejection reason
+ * @param {string} [rejection.ip] - Client IP address
+ * @param {string} [rejection.domain] - Source domain
+ */
+export async function recordIngestAbuse(application, rejection) {
+  const stateCollection = application.collections?.get("conversation_state");
+  if (!stateCollection) return;
+
+  await stateCollection.findOneAndUpdate(
+    { _id: "ingest_abuse" },
+    {
+      $inc: {
+        rejected_total: 1,
+        [`rejected_by_reason.${rejection.reason}`]: 1,
+      },
+      $set: {
+        last_rejected_at: new Date().toISOString(),
+        last_rejected_reason: rejection.reason,
+        last_rejected_ip: rejection.ip || null,
+        last_rejected_domain: rejection.domain || null,
+      },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * IPs and domains over their limit in the current window
+ * @param {object} application - Indiekit application
+ * @returns {Promise<Array>} [{ scope, key, count, limit, window_start }]
+ */
+export async function getThrottledSenders(application) {
+  const collection = getCollection(application);
+  if (!collection) return [];
+
+  return collection
+    .find({
+      expires_at: { $gt: new Date() },
+      $expr: { $gt: ["$count", "$limit"] },
+    })
+    .sort({ count: -1 })
+    .limit(20)
+    .toArray();
+}
+
+/**
+ * Create indexes for the rate limit counters
+ * @param {object} application - Indiekit application
+ */
+export async function createRateLimitIndexes(application) {
+  const collection = getCollection(application);
+
+  await collection.createIndex(
+    { expires_at: 1 },
+    { name: "expires_ttl", expireAfterSeconds: 0 },
+  );
+}
+
+/**
+ * @param {string} url
+ * @returns {string|null} Lower-case hostname
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Microformats2 webmention source parser
+ * Reads the h-entry of a webmention source to determine the interaction
+ * type and extract author, content, published date and photos
+ * @module ingestion/mf2-parser
+ */
+
+import { mf2 } from "microformats-parser";
+
+import { sanitizeHtml } from "../transforms/sanitize-html.js";
+
+/**
+ * Response properties in order of precedence. A post that likes and
+ * replies to the target at the same time is treated as the more
+ * specific interaction.
+ */
+const typeProperties = [
+  ["like-of", "like"],
+  ["repost-of", "repost"],
+  ["bookmark-of", "bookmark"],
+  ["in-reply-to", "reply"],
+];
+
+/**
+ * Parse a webmention source document
+ * @param {string} html - Source HTML
+ * @param {string} sourceUrl - Source URL (base for relative URLs)
+ * @param {string} targetUrl - Target URL the source mentions
+ * @returns {object|null} { type, author, content, published, photo, url } or null without an h-entry
+ */
+export function parseWebmentionSource(html, sourceUrl, targetUrl) {
+  let parsed;
+  try {
+    parsed = mf2(html, { baseUrl: sourceUrl });
+  } catch {
+    return null;
+  }
+
+  const entry = findEntry(parsed.items, sourceUrl);
+  if (!entry) return null;
+
+  const properties = entry.properties || {};
+
+  return {
+    type: resolveType(properties, targetUrl),
+    author: resolveAuthor(properties, parsed, sourceUrl),
+    content: resolveContent(properties),
+    published: firstValue(properties.published) || null,
+    photo: (properties.photo || []).map(urlValue).filter(Boolean),
+    url: firstUrl(properties.url) || sourceUrl,
+  };
+}
+
+/**
+ * Find the h-entry representing the source
+ * Prefers a top-level h-entry, then an h-entry inside an h-feed whose
+ * url matches the source URL, then the first h-entry in the feed.
+ * @param {Array} items - Top-level mf2 items
+ * @param {string} sourceUrl - Source URL
+ * @returns {object|null} h-entry item
+ */
+function findEntry(items = [], sourceUrl) {
+  const isEntry = (item) => item.type?.includes("h-entry");
+
+  const topLevel = items.filter(isEntry);
+  if (topLevel.length > 0) {
+    return (
+      topLevel.find((item) => urlsMatch(firstUrl(item.properties?.url), sourceUrl)) ||
+      topLevel[0]
+    );
+  }
+
+  for (const feed of items.filter((item) => item.type?.includes("h-feed"))) {
+    const children = (feed.children || []).filter(isEntry);
+    const match =
+      children.find((item) => urlsMatch(firstUrl(item.properties?.url), sourceUrl)) ||
+      children[0];
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Determine the interaction type from h-entry response properties
+ * Only properties that reference the target count; an entry that
+ * replies to something else but links to us is a mention.
+ * @param {object} properties - h-entry properties
+ * @param {string} targetUrl - Target URL
+ * @returns {string} Interaction type
+ */
+function resolveType(properties, targetUrl) {
+  for (const [property, type] of typeProperties) {
+    const values = properties[property] || [];
+    if (values.some((value) => urlsMatch(citedUrl(value), targetUrl))) {
+      return type;
+    }
+  }
+  return "mention";
+}
+
+/**
+ * Resolve the entry author as { name, url, photo }
+ * Uses the h-entry author property, then a top-level h-card on the page
+ * (matching the author URL when one is known).
+ * @param {object} properties - h-entry properties
+ * @param {object} parsed - Full mf2 parse result
+ * @param {string} sourceUrl - Source URL
+ * @returns {object|null} Author card
+ */
+function resolveAuthor(properties, parsed, sourceUrl) {
+  const author = properties.author?.[0];
+  let card = null;
+  let authorUrl = null;
+
+  if (author && typeof author === "object" && author.type?.includes("h-card")) {
+    card = author;
+  } else if (typeof author === "string") {
+    if (/^https?:\/\//.test(author)) {
+      authorUrl = author;
+    } else {
+      return { name: author, url: new URL(sourceUrl).origin, photo: "" };
+    }
+  }
+
+  // Author given by URL only (or missing) — look for a matching h-card
+  if (!card) {
+    const cards = (parsed.items || []).filter((item) => item.type?.includes("h-card"));
+    card = authorUrl
+      ? cards.find((c) => urlsMatch(firstUrl(c.properties?.url), authorUrl))
+      : cards.find((c) => urlsMatch(firstUrl(c.properties?.url), new URL(sourceUrl).origin)) ||
+        cards[0];
+  }
+
+  if (!card) {
+    return authorUrl ? { name: new URL(authorUrl).hostname, url: authorUrl, photo: "" } : null;
+  }
+
+  const url = firstUrl(card.properties?.url) || authorUrl || new URL(sourceUrl).origin;
+
+  return {
+    name: firstValue(card.properties?.name) || card.value || new URL(url).hostname,
+    url,
+    photo: urlValue(card.properties?.photo?.[0]) || "",
+  };
+}
+
+/**
+ * Resolve entry content as { text, html }
+ * Falls back to summary for entries without e-content (the implied
+ * name is skipped — for likes and reposts it's just the link text)
+ * @param {object} properties - h-entry properties
+ * @returns {object|null} Content
+ */
+function resolveContent(properties) {
+  const content = properties.content?.[0];
+
+  if (content && typeof content === "object") {
+    return {
+      text: (content.value || "").trim(),
+      html: sanitizeHtml(content.html || ""),
+    };
+  }
+
+  const text = content || firstValue(properties.summary);
+  return text ? { text: String(text).trim() } : null;
+}
+
+/**
+ * URL a response property value refers to (string or h-cite)
+ * @param {string|object} value
+ * @returns {string|null}
+ */
+function citedUrl(value) {
+  if (typeof value === "string") return value;
+  return firstUrl(value?.properties?.url) || value?.value || null;
+}
+
+/**
+ * First plain value of a property
+ * @param {Array} values
+ * @returns {string|null}
+ */
+function firstValue(values) {
+  const value = values?.[0];
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string") return value;
+  return value.value || null;
+}
+
+/**
+ * First URL value of a property
+ * @param {Array} values
+ * @returns {string|null}
+ */
+function firstUrl(values) {
+  return urlValue(values?.[0]);
+}
+
+/**
+ * URL from a u-* value (string, { value, alt } or embedded h-card)
+ * @param {string|object} value
+ * @returns {string|null}
+ */
+function urlValue(value) {
+  if (!value) return null;
+  if (typeof value === "string") return value;
+  if (typeof value.value === "string") return value.value;
+  return null;
+}
+
+/**
+ * Compare two URLs ignoring a trailing slash and fragment
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function urlsMatch(a, b) {
+  if (!a || !b) return false;
+  const normalize = (url) => url.replace(/#.*$/, "").replace(/\/$/, "");
+  return normalize(a) === normalize(b);
+}
@@ -0,0 +1,185 @@
+/**
+ * Webmention source fetcher
+ * Fetches a webmention source document with a timeout and size cap.
+ * Source URLs come from anyone on the web, so only http(s) URLs whose
+ * host resolves to public addresses are fetched, and every redirect is
+ * checked the same way.
+ * @module ingestion/source-fetcher
+ */
+
+import dns from "node:dns/promises";
+import net from "node:net";
+
+const FETCH_TIMEOUT_MS = 10_000;
+const MAX_SOURCE_BYTES = 1024 * 1024; // 1 MB
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const privateAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  privateAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 (::ffff:7f00:1), never needed to reach a public host.
+// Kept apart: a BlockList also matches plain IPv4 against this range.
+const mappedAddresses = new net.BlockList();
+mappedAddresses.addSubnet("::ffff:0:0", 96, "ipv6");
+
+/**
+ * Whether an IP address is not reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 6 && mappedAddresses.check(address, "ipv6")) return true;
+  return privateAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Make sure a URL is safe to fetch from the server
+ * Throws (with `code` "unsafe_url") for other schemes and for hosts
+ * that are, or resolve to, private addresses.
+ * @param {string} url - URL to fetch
+ * @returns {Promise<URL>} Parsed URL
+ */
+export async function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw unsafeUrl(`Unsupported URL scheme ${parsed.protocol}`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true, verbatim: true })).map(
+        (entry) => entry.address,
+      );
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw unsafeUrl(`${parsed.hostname} is not a public address`);
+  }
+
+  return parsed;
+}
+
+/**
+ * @param {string} message - Error message
+ * @returns {Error} Error with code "unsafe_url"
+ */
+function unsafeUrl(message) {
+  const error = new Error(message);
+  error.code = "unsafe_url";
+  return error;
+}
+
+/**
+ * Fetch a webmention source URL
+ * Never throws for HTTP errors — callers inspect `status` to distinguish
+ * a missing source (404/410) from a transient failure. Network errors,
+ * timeouts and unsafe URLs (`code` "unsafe_url") are thrown.
+ * @param {string} url - Source URL
+ * @returns {Promise<object>} { status, ok, contentType, link, body, url }
+ */
+export async function fetchSource(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+
+  // Redirects are followed by hand so each hop is checked
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(url);
+    response = await fetch(url, {
+      headers: {
+        Accept: "text/html, application/xhtml+xml, application/json;q=0.9, */*;q=0.5",
+        "User-Agent": "IndieKit-Conversations/1.0 (Webmention)",
+      },
+      redirect: "manual",
+      signal,
+    });
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    if (redirects >= MAX_REDIRECTS) throw new Error("Too many redirects");
+
+    await response.body?.cancel().catch(() => {});
+    url = new URL(location, url).href;
+  }
+
+  const contentType = (response.headers.get("content-type") || "").toLowerCase();
+  const link = response.headers.get("link") || "";
+
+  if (!response.ok) {
+    return {
+      status: response.status,
+      ok: false,
+      contentType,
+      link,
+      body: "",
+      url,
+    };
+  }
+
+  const body = await readLimitedBody(response, MAX_SOURCE_BYTES);
+
+  return {
+    status: response.status,
+    ok: true,
+    contentType,
+    link,
+    body,
+    url,
+  };
+}
+
+/**
+ * Read a response body as text, stopping after maxBytes
+ * Large sources are truncated rather than rejected — the link to the
+ * target is almost always within the first megabyte.
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Maximum number of bytes to read
+ * @returns {Promise<string>} Body text
+ */
+async function readLimitedBody(response, maxBytes) {
+  if (!response.body) return "";
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = "";
+
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+  }
+
+  if (received >= maxBytes) {
+    await reader.cancel().catch(() => {});
+  }
+
+  return text + decoder.decode();
+}
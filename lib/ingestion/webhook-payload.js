@@ -0,0 +1,40 @@
+/**
+ * Webhook payload normalization
+ * Flattens webmention.io webhook payloads (which nest the parsed post
+ * under `post`) into the flat shape the ingest endpoint works with
+ * @module ingestion/webhook-payload
+ */
+
+/**
+ * Normalize a webhook payload
+ * Top-level fields win over fields from `post`, so senders that already
+ * post the flat shape are unaffected.
+ * @param {object} body - Parsed request body (without the secret)
+ * @returns {object} Flat webmention data
+ */
+export function normalizeWebhookPayload(body = {}) {
+  const { post, ...payload } = body;
+  if (!post || typeof post !== "object") return payload;
+
+  return {
+    ...payload,
+    author: payload.author || post.author,
+    content: payload.content || post.content,
+    "wm-property": payload["wm-property"] || post["wm-property"],
+    "in-reply-to": payload["in-reply-to"] || post["in-reply-to"],
+    url: payload.url || post.url,
+    published: payload.published || post.published,
+    photo: payload.photo || post.photo,
+  };
+}
+
+/**
+ * Check whether a payload announces a deleted webmention
+ * webmention.io sends `deleted: true` when the source was removed or no
+ * longer links to the target.
+ * @param {object} payload - Normalized payload
+ * @returns {boolean}
+ */
+export function isDeletedPayload(payload) {
+  return payload?.deleted === true || payload?.deleted === "true";
+}
@@ -9,11 +9,15 @@
  * @param {object} webmention - Webmention data
  * @param {string} webmention.source - Source URL of the webmention
  * @param {object} [webmention.author] - Author data if available
+ * @param {object} [webmention.mf2] - Parsed source h-entry (from mf2-parser)
  * @returns {object} Classification result
  */
 export function classifyWebmention(webmention) {
   const source = webmention.source || "";
-  const authorUrl = webmention.author?.url || "";
+  const authorUrl = webmention.author?.url || webmention.mf2?.author?.url || "";
+
+  // The source's own h-entry is more reliable than URL guessing
+  const parsedType = webmention.mf2?.type || null;
 
   // Bridgy pattern: https://brid.gy/{action}/{platform}/...
   const bridgyMatch = source.match(
@@ -44,7 +48,7 @@ export function classifyWebmention(webmention) {
   if (authorUrl.includes("bsky.app") || source.includes("bsky.app")) {
     return {
       source: "bluesky",
-      type: inferTypeFromUrl(source),
+      type: parsedType || inferTypeFromUrl(source),
       bridgy_url: null,
       confidence: "medium",
     };
@@ -53,7 +57,7 @@ export function classifyWebmention(webmention) {
   if (isFediverseUrl(authorUrl) || isFediverseUrl(source)) {
     return {
       source: "mastodon",
-      type: inferTypeFromUrl(source),
+      type: parsedType || inferTypeFromUrl(source),
       bridgy_url: null,
       confidence: "medium",
     };
@@ -64,9 +68,9 @@ export function classifyWebmention(webmention) {
     source: "webmention",
     type: webmention["wm-property"]
       ? mapWmProperty(webmention["wm-property"])
-      : inferTypeFromUrl(source),
+      : parsedType || inferTypeFromUrl(source),
     bridgy_url: null,
-    confidence: "low",
+    confidence: parsedType ? "high" : "low",
   };
 }
 
@@ -138,6 +142,24 @@ function isFediverseUrl(url) {
   );
 }
 
+/**
+ * What a reply webmention replies to
+ * webmention.io posts carry the sender's in-reply-to, which names the
+ * direct parent when the reply sits further down a thread (Bridgy
+ * backfeeds replies to replies with our post as target). Without it
+ * the reply answers the target.
+ * @param {object} webmention - Webmention data
+ * @returns {string|null} Parent URL
+ */
+export function replyParent(webmention) {
+  const value = [webmention["in-reply-to"] || []].flat()[0];
+  const url =
+    typeof value === "string"
+      ? value
+      : value?.url || value?.properties?.url?.[0] || null;
+  return url || webmention.target || null;
+}
+
 /**
  * Generate a platform-specific dedup key
  * @param {object} webmention - Classified webmention data
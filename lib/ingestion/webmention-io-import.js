@@ -0,0 +1,221 @@
+/**
+ * webmention.io JF2 export import
+ * Maps entries from a webmention.io `mentions.jf2` export into
+ * conversation items, skipping interactions already stored from
+ * another channel (Mastodon/Bluesky polling, webhooks)
+ * @module ingestion/webmention-io-import
+ */
+
+import { generateIdentityKey } from "../matching/identity.js";
+import { resolveCanonicalUrl } from "../matching/syndication-map.js";
+import { loadBlocklist } from "../moderation/blocklist.js";
+import { upsertConversationItem } from "../storage/conversation-items.js";
+import {
+  classifyWebmention,
+  generatePlatformId,
+  replyParent,
+} from "./webmention-classifier.js";
+
+export const IMPORT_CHANNEL = "webmention_io_import";
+
+/**
+ * Parse a webmention.io JF2 export
+ * Accepts the feed object ({ type: "feed", children }) or a bare array
+ * of entries.
+ * @param {string|Buffer} data - Uploaded file contents
+ * @returns {Array} JF2 entries
+ */
+export function parseExport(data) {
+  const json = JSON.parse(String(data));
+  const entries = Array.isArray(json) ? json : json?.children;
+
+  if (!Array.isArray(entries)) {
+    throw new Error("Not a webmention.io JF2 export (no children array)");
+  }
+
+  return entries;
+}
+
+/**
+ * Map export entries to conversation items and check for duplicates
+ * Nothing is written — the result is the dry-run preview.
+ * @param {object} application - Indiekit application
+ * @param {Array} entries - JF2 entries from parseExport
+ * @param {string} siteUrl - Site base URL
+ * @returns {Promise<object>} { items, stats }
+ */
+export async function previewImport(application, entries, siteUrl) {
+  const canonicalCache = new Map();
+  const seen = new Set();
+  const items = [];
+  const blocklist = await loadBlocklist(application);
+  const stats = {
+    total: entries.length,
+    new: 0,
+    duplicate: 0,
+    invalid: 0,
+    blocked: 0,
+  };
+
+  for (const entry of entries) {
+    const webmention = entryToWebmention(entry);
+
+    if (!isValidUrl(webmention.source) || !isValidUrl(webmention.target)) {
+      stats.invalid++;
+      continue;
+    }
+
+    if (!canonicalCache.has(webmention.target)) {
+      canonicalCache.set(
+        webmention.target,
+        await resolveCanonicalUrl(application, webmention.target, siteUrl),
+      );
+    }
+
+    const item = buildItem(webmention, canonicalCache.get(webmention.target));
+
+    if (blocklist.isBlocked(item)) {
+      stats.blocked++;
+      continue;
+    }
+
+    // Same interaction twice in the export, or already stored
+    const key = `${item.canonical_url} ${item.platform_id}`;
+    if (seen.has(key) || (await findDuplicate(application, item))) {
+      stats.duplicate++;
+      continue;
+    }
+
+    seen.add(key);
+    items.push(item);
+    stats.new++;
+  }
+
+  return { items, stats };
+}
+
+/**
+ * Store previewed items
+ * Duplicates and the blocklist are checked again in case a poll stored
+ * the same interaction, or an author was blocked, between preview and
+ * commit.
+ * @param {object} application - Indiekit application
+ * @param {Array|AsyncIterable} items - Items from previewImport (an array or a cursor)
+ * @returns {Promise<object>} { imported, skipped }
+ */
+export async function commitImport(application, items) {
+  const blocklist = await loadBlocklist(application);
+  let imported = 0;
+  let skipped = 0;
+
+  for await (const item of items) {
+    if (blocklist.isBlocked(item) || (await findDuplicate(application, item))) {
+      skipped++;
+      continue;
+    }
+
+    await upsertConversationItem(application, { ...item });
+    imported++;
+  }
+
+  return { imported, skipped };
+}
+
+/**
+ * Convert a JF2 export entry into the flat webmention shape
+ * @param {object} entry - webmention.io JF2 entry
+ * @returns {object} Webmention data
+ */
+function entryToWebmention(entry) {
+  return {
+    source: entry["wm-source"] || entry.url,
+    target: entry["wm-target"],
+    author: entry.author,
+    content: entry.content,
+    "wm-property": entry["wm-property"],
+    "in-reply-to": entry["in-reply-to"],
+    "wm-id": entry["wm-id"],
+    url: entry.url,
+    published: entry.published || entry["wm-received"],
+    received_at: entry["wm-received"],
+    photo: entry.photo,
+  };
+}
+
+/**
+ * Build a conversation item from an export entry
+ * @param {object} webmention - Webmention data from entryToWebmention
+ * @param {string} canonicalUrl - Resolved canonical post URL
+ * @returns {object} Conversation item
+ */
+function buildItem(webmention, canonicalUrl) {
+  const classification = classifyWebmention(webmention);
+
+  const item = {
+    canonical_url: canonicalUrl.replace(/\/$/, ""),
+    source: classification.source,
+    channel: IMPORT_CHANNEL,
+    type: classification.type,
+    author: {
+      name: webmention.author?.name || "Unknown",
+      url: webmention.author?.url || webmention.source,
+      photo: webmention.author?.photo || "",
+    },
+    content:
+      webmention.content?.text || webmention.content?.html || null,
+    url: webmention.url || webmention.source,
+    bridgy_url: classification.bridgy_url,
+    platform_id: generatePlatformId(webmention),
+    wm_id: webmention["wm-id"] || null,
+    // Already public on webmention.io — history doesn't go through moderation
+    moderation_status: "approved",
+  };
+
+  // Keep the original receive time so imported history sorts correctly
+  if (webmention.received_at) item.received_at = webmention.received_at;
+  if (webmention.published) item.created_at = webmention.published;
+  if (webmention.photo) item.photo = [webmention.photo].flat();
+  if (item.type === "reply") item.in_reply_to = replyParent(webmention);
+
+  return item;
+}
+
+/**
+ * Find an already stored item for the same interaction
+ * Matches the dedup key (also when merged into another record), the
+ * interaction URL, or the cross-channel identity key (same author and
+ * status URL, or same author and type for likes and reposts).
+ * @param {object} application - Indiekit application
+ * @param {object} item - Conversation item
+ * @returns {Promise<object|null>} Existing item
+ */
+async function findDuplicate(application, item) {
+  const collection = application.collections.get("conversation_items");
+
+  const clauses = [
+    { platform_id: item.platform_id },
+    { platform_ids: item.platform_id },
+  ];
+  if (item.url) clauses.push({ url: item.url });
+
+  const identityKey = generateIdentityKey(item);
+  if (identityKey) clauses.push({ identity_key: identityKey });
+
+  return collection.findOne({
+    canonical_url: item.canonical_url,
+    $or: clauses,
+  });
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
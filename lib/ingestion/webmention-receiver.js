@@ -0,0 +1,453 @@
+/**
+ * Webmention receiver
+ * W3C Webmention receiving with asynchronous source verification.
+ * Incoming webmentions are queued in conversation_webmentions, the
+ * source is fetched later and only stored as a conversation item once
+ * it is confirmed to link to the target. Repeat webmentions re-verify
+ * the source: edits update the item, a deleted source or removed link
+ * tombstones it. Failed verifications are retried with backoff.
+ * @module ingestion/webmention-receiver
+ */
+
+import crypto from "node:crypto";
+
+import {
+  tombstoneConversationItems,
+  upsertConversationItem,
+} from "../storage/conversation-items.js";
+import {
+  classifyWebmention,
+  generatePlatformId,
+} from "./webmention-classifier.js";
+import { loadBlocklist } from "../moderation/blocklist.js";
+import { parseWebmentionSource } from "./mf2-parser.js";
+import { fetchSource } from "./source-fetcher.js";
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// Guard against overlapping queue runs (request-triggered + poll cycle)
+let processing = false;
+
+/**
+ * Get the conversation_webmentions collection
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get("conversation_webmentions");
+}
+
+/**
+ * Queue a webmention for verification
+ * A repeat webmention for the same source and target while the first is
+ * still pending reuses the pending entry instead of queueing twice, and
+ * is verified on the next run. A unique index on pending entries keeps
+ * concurrent requests from queueing twice; the losing upsert is retried
+ * and then matches the winner's entry.
+ * @param {object} application - Indiekit application
+ * @param {object} webmention - Webmention data
+ * @param {string} webmention.source - Source URL
+ * @param {string} webmention.target - Target URL
+ * @param {string} webmention.canonical_url - Resolved canonical post URL
+ * @returns {Promise<string>} Queue entry ID
+ */
+export async function queueWebmention(application, webmention) {
+  const collection = getCollection(application);
+  const now = new Date().toISOString();
+
+  const upsert = () =>
+    collection.findOneAndUpdate(
+      {
+        source: webmention.source,
+        target: webmention.target,
+        status: "pending",
+      },
+      {
+        $set: {
+          canonical_url: webmention.canonical_url,
+          next_attempt_at: now,
+          updated_at: now,
+        },
+        $setOnInsert: {
+          _id: crypto.randomUUID(),
+          attempts: 0,
+          received_at: now,
+        },
+      },
+      {
+        upsert: true,
+        returnDocument: "after",
+      },
+    );
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    result = await upsert();
+  }
+
+  return result._id;
+}
+
+/**
+ * Get a queued webmention by ID
+ * @param {object} application - Indiekit application
+ * @param {string} id - Queue entry ID
+ * @returns {Promise<object|null>} Queue entry
+ */
+export async function getWebmention(application, id) {
+  const collection = getCollection(application);
+  return collection.findOne({ _id: id });
+}
+
+/**
+ * Count queued webmentions by verification status
+ * @param {object} application - Indiekit application
+ * @returns {Promise<object>} Map of status -> count
+ */
+export async function getWebmentionCounts(application) {
+  const collection = getCollection(application);
+  if (!collection) return {};
+
+  const counts = await collection
+    .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+    .toArray();
+
+  const result = {};
+  for (const c of counts) {
+    result[c._id] = c.count;
+  }
+  return result;
+}
+
+/**
+ * Verify pending webmentions
+ * Called right after a webmention is accepted and again on every poll
+ * cycle, which picks up retries and entries left over from a restart.
+ * An entry that throws is retried later; it doesn't stop the batch.
+ * @param {object} application - Indiekit application (has .collections)
+ */
+export async function processWebmentionQueue(application) {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const collection = getCollection(application);
+    if (!collection) return;
+
+    const pending = await collection
+      .find({
+        status: "pending",
+        // Entries queued before next_attempt_at existed are due too
+        $or: [
+          { next_attempt_at: { $lte: new Date().toISOString() } },
+          { next_attempt_at: null },
+        ],
+      })
+      .sort({ next_attempt_at: 1, received_at: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    for (const entry of pending) {
+      try {
+        await verifyWebmention(application, entry);
+      } catch (error) {
+        console.error(
+          `[Conversations] Webmention verification error (${entry.source}):`,
+          error.message,
+        );
+        await retryLater(
+          collection,
+          entry,
+          (entry.attempts || 0) + 1,
+          `Verification failed: ${error.message}`,
+        ).catch(() => {});
+      }
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Fetch the source of a queued webmention and confirm it links to the target
+ * @param {object} application - Indiekit application
+ * @param {object} entry - Queue entry from conversation_webmentions
+ */
+async function verifyWebmention(application, entry) {
+  const collection = getCollection(application);
+  const attempts = (entry.attempts || 0) + 1;
+
+  let fetched;
+  try {
+    fetched = await fetchSource(entry.source);
+  } catch (error) {
+    // Network error or timeout — retry on a later run. Sources on
+    // private addresses are never fetched, so those fail at once.
+    const reason = `Source fetch failed: ${error.message}`;
+    if (error.code === "unsafe_url") {
+      await markFailed(collection, entry, attempts, reason);
+    } else {
+      await retryLater(collection, entry, attempts, reason);
+    }
+    return;
+  }
+
+  // Source gone — retract anything stored from an earlier webmention
+  if (fetched.status === 410 || fetched.status === 404) {
+    const retracted = await retractWebmention(application, entry, "source_gone");
+    await markFailed(
+      collection,
+      entry,
+      attempts,
+      `Source returned HTTP ${fetched.status}`,
+      retracted > 0 ? "deleted" : "failed",
+    );
+    return;
+  }
+
+  if (!fetched.ok) {
+    await markFailed(collection, entry, attempts, `Source returned HTTP ${fetched.status}`);
+    return;
+  }
+
+  // Link removed — same treatment as a deleted source
+  if (!linksToTarget(fetched.body, fetched.contentType, entry.source, entry.target)) {
+    const retracted = await retractWebmention(application, entry, "link_removed");
+    await markFailed(
+      collection,
+      entry,
+      attempts,
+      "Source does not link to target",
+      retracted > 0 ? "deleted" : "failed",
+    );
+    return;
+  }
+
+  // Read the source's h-entry for type, author and content
+  const parsed = fetched.contentType.includes("html") || !fetched.contentType
+    ? parseWebmentionSource(fetched.body, fetched.url, entry.target)
+    : null;
+
+  const webmention = {
+    source: entry.source,
+    target: entry.target,
+    mf2: parsed,
+  };
+  const classification = classifyWebmention(webmention);
+
+  const item = {
+    canonical_url: entry.canonical_url,
+    source: classification.source,
+    channel: "webmention",
+    type: classification.type,
+    author: parsed?.author || {
+      name: "Unknown",
+      url: entry.source,
+    },
+    content: parsed?.content || null,
+    url: entry.source,
+    bridgy_url: classification.bridgy_url,
+    platform_id: generatePlatformId(webmention),
+  };
+  if (parsed?.published) item.created_at = parsed.published;
+  if (parsed?.photo?.length > 0) item.photo = parsed.photo;
+  // A reply is only classified as such when it replies to the target
+  if (item.type === "reply") item.in_reply_to = entry.target;
+
+  const blocklist = await loadBlocklist(application);
+  if (blocklist.isBlocked(item)) {
+    await markFailed(collection, entry, attempts, "Blocked", "blocked");
+    return;
+  }
+
+  await upsertConversationItem(application, item);
+
+  await collection.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status: "verified",
+        attempts,
+        error: null,
+        verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+    },
+  );
+}
+
+/**
+ * Tombstone items stored from an earlier webmention with this source
+ * @param {object} application - Indiekit application
+ * @param {object} entry - Queue entry
+ * @param {string} reason - Why the webmention was retracted
+ * @returns {Promise<number>} Number of retracted items
+ */
+async function retractWebmention(application, entry, reason) {
+  const retracted = await tombstoneConversationItems(
+    application,
+    {
+      canonical_url: entry.canonical_url,
+      $or: [
+        { url: entry.source },
+        { platform_id: generatePlatformId({ source: entry.source }) },
+        { platform_ids: generatePlatformId({ source: entry.source }) },
+      ],
+    },
+    reason,
+    "webmention",
+  );
+
+  if (retracted > 0) {
+    console.info(
+      `[Conversations] Webmention retracted (${reason}): ${entry.source}`,
+    );
+  }
+
+  return retracted;
+}
+
+/**
+ * Mark a queue entry as failed (or deleted, when it retracted items,
+ * or blocked, when the author is on the blocklist)
+ * @param {object} collection - conversation_webmentions collection
+ * @param {object} entry - Queue entry
+ * @param {number} attempts - Attempt count including this one
+ * @param {string} error - Failure reason
+ * @param {string} [status] - Final status (default "failed")
+ */
+async function markFailed(collection, entry, attempts, error, status = "failed") {
+  await collection.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status,
+        attempts,
+        error,
+        updated_at: new Date().toISOString(),
+      },
+    },
+  );
+}
+
+/**
+ * Schedule another verification attempt with exponential backoff, or
+ * mark the entry failed once MAX_ATTEMPTS is reached
+ * @param {object} collection - conversation_webmentions collection
+ * @param {object} entry - Queue entry
+ * @param {number} attempts - Attempt count including this one
+ * @param {string} error - Failure reason
+ */
+async function retryLater(collection, entry, attempts, error) {
+  if (attempts >= MAX_ATTEMPTS) {
+    await markFailed(collection, entry, attempts, error);
+    return;
+  }
+
+  const now = Date.now();
+  await collection.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        attempts,
+        error,
+        next_attempt_at: new Date(
+          now + RETRY_BASE_MS * 4 ** (attempts - 1),
+        ).toISOString(),
+        updated_at: new Date(now).toISOString(),
+      },
+    },
+  );
+}
+
+/**
+ * Check whether a source document links to the target URL
+ * HTML is checked for href/src attributes (resolved against the source
+ * URL), any other content type for the literal target URL.
+ * @param {string} body - Source document body
+ * @param {string} contentType - Source content type
+ * @param {string} sourceUrl - Source URL (base for relative links)
+ * @param {string} targetUrl - Target URL
+ * @returns {boolean} True if the source links to the target
+ */
+export function linksToTarget(body, contentType, sourceUrl, targetUrl) {
+  if (!body) return false;
+
+  const target = normalizeLinkUrl(targetUrl);
+
+  if (!contentType || contentType.includes("html")) {
+    const attributePattern = /\s(?:href|src)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    for (const match of body.matchAll(attributePattern)) {
+      const value = decodeEntities(match[1] ?? match[2] ?? match[3] ?? "");
+      try {
+        if (normalizeLinkUrl(new URL(value, sourceUrl).href) === target) {
+          return true;
+        }
+      } catch { /* skip invalid URLs */ }
+    }
+    return false;
+  }
+
+  return body.includes(targetUrl) || body.includes(target);
+}
+
+/**
+ * Normalize a URL for link comparison (no fragment, no trailing slash)
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeLinkUrl(url) {
+  return url.replace(/#.*$/, "").replace(/\/$/, "");
+}
+
+/**
+ * Decode the HTML entities that commonly appear in attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, "&")
+    .replace(/&#0*38;/g, "&")
+    .replace(/&#x0*26;/gi, "&")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#0*39;/g, "'");
+}
+
+/**
+ * Create MongoDB indexes for conversation_webmentions
+ * @param {object} application - Indiekit application
+ */
+export async function createWebmentionIndexes(application) {
+  const collection = getCollection(application);
+
+  await collection.createIndex(
+    { source: 1, target: 1 },
+    { name: "source_target" },
+  );
+
+  await collection.createIndex(
+    { status: 1, received_at: 1 },
+    { name: "status_queue" },
+  );
+
+  await collection.createIndex(
+    { status: 1, next_attempt_at: 1 },
+    { name: "status_next_attempt" },
+  );
+
+  // One pending entry per source and target
+  await collection.createIndex(
+    { source: 1, target: 1, status: 1 },
+    {
+      name: "pending_source_target",
+      unique: true,
+      partialFilterExpression: { status: "pending" },
+    },
+  );
+}
@@ -0,0 +1,130 @@
+/**
+ * Interaction identity resolution
+ * Recognises the same interaction arriving through different channels
+ * (e.g. a Mastodon reply polled from the API and the same reply sent by
+ * Bridgy as a webhook) so it can be stored once
+ * @module matching/identity
+ */
+
+/**
+ * Types whose object is the target post itself. For these the author
+ * and type on a given canonical post identify the interaction.
+ */
+const reactionTypes = new Set(["like", "repost", "bookmark", "reaction"]);
+
+/**
+ * Channel preference when merging — the direct platform APIs carry the
+ * most complete data, bridged copies the least
+ */
+const channelRank = [
+  "mastodon_api",
+  "bluesky_api",
+  "activitypub_inbox",
+  "webmention",
+  "webhook",
+  "webmention_io_import",
+];
+
+/**
+ * Generate the cross-channel identity key of an interaction
+ * Keys are scoped to a canonical post:
+ * - likes, reposts and bookmarks: `like:<author>` etc.
+ * - emoji reactions: `reaction:<author>:<emoji>` (one author can react
+ *   with several emoji)
+ * - replies and mentions: `post:<author>:<status URL / AT URI / activity id>`
+ * @param {object} item - Conversation item
+ * @returns {string|null} Identity key, or null when it can't be derived
+ */
+export function generateIdentityKey(item) {
+  const actor = normalizeActorUrl(item.author?.url);
+  if (!actor) return null;
+
+  if (item.type === "reaction") {
+    const emoji = item.reaction?.emoji || item.content;
+    return emoji ? `reaction:${actor}:${emoji}` : null;
+  }
+
+  if (reactionTypes.has(item.type)) {
+    return `${item.type}:${actor}`;
+  }
+
+  const object = normalizeObjectUrl(item.url);
+  if (!object || object === actor) return null;
+
+  return `post:${actor}:${object}`;
+}
+
+/**
+ * Normalize an author URL
+ * Mastodon actor ids (`/users/name`) and profile URLs (`/@name`) map to
+ * the same value.
+ * @param {string} url - Author URL
+ * @returns {string|null} Normalized author reference
+ */
+export function normalizeActorUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const path = parsed.pathname
+    .replace(/^\/users\/([^/]+)$/, "/@$1")
+    .replace(/\/$/, "");
+
+  return `${parsed.hostname.toLowerCase()}${path}`;
+}
+
+/**
+ * Normalize a status URL, AT URI or ActivityPub object id
+ * - `at://did/app.bsky.feed.post/rkey` and
+ *   `https://bsky.app/profile/handle/post/rkey` map to `bsky:post:rkey`
+ * - Mastodon `/users/name/statuses/id` maps to `/@name/id`
+ * - fragments, query strings and trailing slashes are dropped
+ * @param {string} url - Object reference
+ * @returns {string|null} Normalized object reference
+ */
+export function normalizeObjectUrl(url) {
+  if (!url) return null;
+
+  const atMatch = url.match(/^at:\/\/[^/]+\/app\.bsky\.feed\.post\/([^/?#]+)/);
+  if (atMatch) return `bsky:post:${atMatch[1]}`;
+
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const host = parsed.hostname.toLowerCase();
+  const bskyMatch = parsed.pathname.match(/^\/profile\/[^/]+\/post\/([^/]+)/);
+  if (host === "bsky.app" && bskyMatch) return `bsky:post:${bskyMatch[1]}`;
+
+  const path = parsed.pathname
+    .replace(/^\/users\/([^/]+)\/statuses\/([^/]+)$/, "/@$1/$2")
+    .replace(/\/$/, "");
+
+  return `${host}${path}`;
+}
+
+/**
+ * Check whether a channel's data should replace the stored record's
+ * @param {string} incoming - Channel of the incoming item
+ * @param {string} existing - Channel of the stored item
+ * @returns {boolean} True if the incoming channel is preferred
+ */
+export function isPreferredChannel(incoming, existing) {
+  const rank = (channel) => {
+    const index = channelRank.indexOf(channel);
+    return index === -1 ? channelRank.length : index;
+  };
+  return rank(incoming) < rank(existing);
+}
+
+/**
+ * @param {string} url
+ * @returns {URL|null}
+ */
+function parseUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
@@ -4,9 +4,29 @@
  * @module matching/syndication-map
  */
 
+import { blueskyUrlVariants } from "../did/resolver.js";
+
+/**
+ * Whether a URL is on our site
+ * Compares origins, so lookalike hosts (example.com.evil.net,
+ * example.community) don't pass for example.com.
+ * @param {string} url - URL to check
+ * @param {string} siteUrl - The site's base URL
+ * @returns {boolean}
+ */
+export function isSiteUrl(url, siteUrl) {
+  try {
+    return new URL(url).origin === new URL(siteUrl).origin;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Find the canonical post URL for a syndication URL
- * Queries the posts collection for posts with matching syndication entries
+ * Queries the posts collection for posts with matching syndication entries.
+ * Bluesky URLs also match when one side names the profile by DID and the
+ * other by handle.
  * @param {object} application - Indiekit application
  * @param {string} syndicationUrl - The syndication URL to look up
  * @returns {Promise<string|null>} Canonical post URL or null
@@ -15,10 +35,22 @@ export async function findCanonicalPost(application, syndicationUrl) {
   const posts = application.collections.get("posts");
   if (!posts) return null;
 
-  const post = await posts.findOne({
+  let post = await posts.findOne({
     "properties.syndication": syndicationUrl,
   });
 
+  if (!post && syndicationUrl?.startsWith("https://bsky.app/profile/")) {
+    const variants = await blueskyUrlVariants(
+      syndicationUrl,
+      application.collections.get("did_cache"),
+    );
+    if (variants.length > 1) {
+      post = await posts.findOne({
+        "properties.syndication": { $in: variants },
+      });
+    }
+  }
+
   return post?.properties?.url || null;
 }
 
@@ -32,7 +64,7 @@ export async function findCanonicalPost(application, syndicationUrl) {
  */
 export async function resolveCanonicalUrl(application, targetUrl, siteUrl) {
   // If the target is already on our domain, it's likely canonical
-  if (targetUrl.startsWith(siteUrl)) {
+  if (isSiteUrl(targetUrl, siteUrl)) {
     return targetUrl.replace(/\/$/, "");
   }
 
@@ -40,3 +72,37 @@ export async function resolveCanonicalUrl(application, targetUrl, siteUrl) {
   const canonical = await findCanonicalPost(application, targetUrl);
   return (canonical || targetUrl).replace(/\/$/, "");
 }
+
+/**
+ * Find the first of our posts among a list of linked URLs
+ * Links on our own site must match a post URL exactly (so links to the
+ * home page or a tag page don't count); links elsewhere are looked up
+ * as syndication URLs.
+ * @param {object} application - Indiekit application
+ * @param {Array<string>} urls - Linked URLs
+ * @param {string} siteUrl - The site's base URL
+ * @returns {Promise<string|null>} Canonical post URL or null
+ */
+export async function findLinkedPost(application, urls, siteUrl) {
+  const posts = application.collections.get("posts");
+  if (!posts) return null;
+
+  for (const link of urls) {
+    const url = link.replace(/#.*$/, "");
+
+    if (siteUrl && isSiteUrl(url, siteUrl)) {
+      // Shared links often carry tracking parameters
+      const bare = url.replace(/\?.*$/, "").replace(/\/$/, "");
+      const post = await posts.findOne({
+        "properties.url": { $in: [bare, `${bare}/`] },
+      });
+      if (post) return post.properties.url.replace(/\/$/, "");
+      continue;
+    }
+
+    const canonical = await findCanonicalPost(application, url);
+    if (canonical) return canonical.replace(/\/$/, "");
+  }
+
+  return null;
+}
@@ -0,0 +1,318 @@
+/**
+ * Author, domain and instance blocklist
+ * Entries are stored in conversation_blocklist and checked before an
+ * interaction is stored, whatever channel it arrives through:
+ * - author: one account (`https://mastodon.social/@name`, `@name@mastodon.social`)
+ * - domain: one host (`example.com`), or a host and all its subdomains
+ *   (`*.example.com`) — covers whole fediverse instances and Bluesky
+ *   handles under a domain
+ * @module moderation/blocklist
+ */
+
+import { normalizeActorUrl } from "../matching/identity.js";
+
+const CACHE_TTL = 60 * 1000;
+const reactionTypes = new Set(["like", "repost", "bookmark", "reaction"]);
+
+// Loaded entries, shared by every poller and request until edited
+let cachedMatcher = null;
+let cachedAt = 0;
+
+/**
+ * Get the conversation_blocklist collection
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get("conversation_blocklist");
+}
+
+/**
+ * Parse a blocklist entry typed by the admin or read from a file
+ * @param {string} input - Author URL, `@user@instance`, domain or `*.domain`
+ * @returns {object|null} { kind, value } or null if not recognised
+ */
+export function parseBlockEntry(input) {
+  const value = String(input || "").trim().toLowerCase();
+  if (!value) return null;
+
+  // Fediverse address: @name@instance
+  const handleMatch = value.match(/^@?([^@/\s]+)@([a-z0-9.-]+\.[a-z]{2,})$/);
+  if (handleMatch) {
+    return { kind: "author", value: `${handleMatch[2]}/@${handleMatch[1]}` };
+  }
+
+  // Domain or wildcard domain
+  const domainMatch = value.match(/^(\*\.)?([a-z0-9-]+(\.[a-z0-9-]+)+)\.?$/);
+  if (domainMatch) {
+    return { kind: "domain", value: `${domainMatch[1] || ""}${domainMatch[2]}` };
+  }
+
+  // URL: a bare host blocks the domain, anything with a path the author
+  const url = /^https?:\/\//.test(value) ? value : null;
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.pathname === "/" || parsed.pathname === "") {
+      return { kind: "domain", value: parsed.hostname };
+    }
+  } catch {
+    return null;
+  }
+
+  const author = normalizeActorUrl(url);
+  return author ? { kind: "author", value: author } : null;
+}
+
+/**
+ * Parse a Mastodon domain-block CSV export
+ * Accepts the admin export (`#domain,#severity,...,#public_comment,...`)
+ * and the plain one-domain-per-line user export. Rows with severity
+ * `noop` are skipped. Mastodon blocks apply to subdomains, so every
+ * domain is imported as a wildcard.
+ * @param {string|Buffer} data - CSV file contents
+ * @returns {Array} [{ kind, value, comment }]
+ */
+export function parseMastodonDomainBlocks(data) {
+  const lines = String(data).split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) return [];
+
+  let columns = { domain: 0, severity: -1, comment: -1 };
+  const header = parseCsvLine(lines[0]).map((cell) =>
+    cell.trim().toLowerCase().replace(/^#/, ""),
+  );
+  if (header.includes("domain")) {
+    columns = {
+      domain: header.indexOf("domain"),
+      severity: header.indexOf("severity"),
+      comment: header.indexOf("public_comment"),
+    };
+    lines.shift();
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    const cells = parseCsvLine(line);
+    const severity = cells[columns.severity]?.trim().toLowerCase();
+    if (severity === "noop") continue;
+
+    const domain = cells[columns.domain]?.trim().replace(/^\*\./, "");
+    const entry = domain && parseBlockEntry(`*.${domain}`);
+    if (entry?.kind !== "domain") continue;
+
+    entries.push({
+      ...entry,
+      comment: cells[columns.comment]?.trim() || "",
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Add entries to the blocklist
+ * @param {object} application - Indiekit application
+ * @param {Array} entries - [{ kind, value, comment }]
+ * @param {string} origin - "manual" or "csv"
+ * @returns {Promise<number>} Number of new entries
+ */
+export async function addBlockEntries(application, entries, origin) {
+  const collection = getCollection(application);
+  let added = 0;
+
+  for (const entry of entries) {
+    const result = await collection.updateOne(
+      { _id: `${entry.kind}:${entry.value}` },
+      {
+        $setOnInsert: {
+          kind: entry.kind,
+          value: entry.value,
+          comment: entry.comment || "",
+          origin,
+          created_at: new Date().toISOString(),
+        },
+      },
+      { upsert: true },
+    );
+    if (result.upsertedCount > 0) added++;
+  }
+
+  cachedMatcher = null;
+  return added;
+}
+
+/**
+ * Remove an entry from the blocklist
+ * Interactions purged while it was active are not restored.
+ * @param {object} application - Indiekit application
+ * @param {string} id - Entry ID (`kind:value`)
+ */
+export async function removeBlockEntry(application, id) {
+  await getCollection(application).deleteOne({ _id: id });
+  cachedMatcher = null;
+}
+
+/**
+ * List blocklist entries, newest first
+ * @param {object} application - Indiekit application
+ * @returns {Promise<Array>} Entries
+ */
+export async function getBlockEntries(application) {
+  const collection = getCollection(application);
+  if (!collection) return [];
+  return collection.find({}).sort({ created_at: -1 }).toArray();
+}
+
+/**
+ * Load the blocklist as a matcher (cached for a minute, reset on edits)
+ * application may be the Indiekit instance (scheduler) or the
+ * application object (controllers).
+ * @param {object} application - Indiekit application
+ * @returns {Promise<object>} Matcher with isBlocked(item)
+ */
+export async function loadBlocklist(application) {
+  if (cachedMatcher && Date.now() - cachedAt < CACHE_TTL) {
+    return cachedMatcher;
+  }
+
+  const collection = application.collections?.get("conversation_blocklist");
+  const entries = collection ? await collection.find({}).toArray() : [];
+
+  cachedMatcher = createMatcher(entries);
+  cachedAt = Date.now();
+  return cachedMatcher;
+}
+
+/**
+ * Build a matcher for a set of blocklist entries
+ * @param {Array} entries - [{ kind, value }]
+ * @returns {object} { size, isBlocked(item) }
+ */
+export function createMatcher(entries) {
+  const authors = new Set();
+  const hosts = new Set();
+  const wildcards = [];
+
+  for (const entry of entries) {
+    if (entry.kind === "author") {
+      authors.add(entry.value);
+    } else if (entry.value.startsWith("*.")) {
+      wildcards.push(entry.value.slice(2));
+    } else {
+      hosts.add(entry.value);
+    }
+  }
+
+  const hostBlocked = (host) =>
+    hosts.has(host) ||
+    wildcards.some((domain) => host === domain || host.endsWith(`.${domain}`));
+
+  return {
+    size: entries.length,
+
+    /**
+     * Check an interaction against the blocklist
+     * Looks at the author, the author's Bluesky handle domain and — for
+     * replies and mentions — the host of the interaction post itself.
+     * @param {object} item - Conversation item (author, url, type)
+     * @returns {boolean}
+     */
+    isBlocked(item) {
+      if (entries.length === 0) return false;
+
+      // Entries are stored lower-case; account names are case-insensitive
+      const authorKey = normalizeActorUrl(item.author?.url)?.toLowerCase();
+      if (authorKey && authors.has(authorKey)) return true;
+
+      const candidates = [hostOf(item.author?.url), blueskyHandle(item.author?.url)];
+      if (!reactionTypes.has(item.type)) candidates.push(hostOf(item.url));
+
+      return candidates.some((host) => host && hostBlocked(host));
+    },
+  };
+}
+
+/**
+ * Delete stored interactions that match the blocklist
+ * @param {object} application - Indiekit application
+ * @returns {Promise<number>} Number of deleted items
+ */
+export async function purgeBlockedItems(application) {
+  const matcher = await loadBlocklist(application);
+  if (matcher.size === 0) return 0;
+
+  const collection = application.collections.get("conversation_items");
+  const ids = [];
+
+  const cursor = collection
+    .find({})
+    .project({ _id: 1, author: 1, url: 1, type: 1 });
+  for await (const item of cursor) {
+    if (matcher.isBlocked(item)) ids.push(item._id);
+  }
+
+  if (ids.length === 0) return 0;
+
+  const result = await collection.deleteMany({ _id: { $in: ids } });
+  console.info(
+    `[Conversations] Blocklist purge: removed ${result.deletedCount} items`,
+  );
+  return result.deletedCount;
+}
+
+/**
+ * @param {string} url
+ * @returns {string|null} Lower-case hostname
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handle of a Bluesky profile URL (a domain name, e.g. alice.example.com)
+ * @param {string} url - Author URL
+ * @returns {string|null}
+ */
+function blueskyHandle(url) {
+  const match = (url || "").match(/^https:\/\/bsky\.app\/profile\/([^/]+)/i);
+  return match && !match[1].startsWith("did:") ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line
+ * @returns {Array<string>} Cells
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === "\"" && line[i + 1] === "\"") {
+        cell += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+
+  return cells;
+}
@@ -0,0 +1,205 @@
+/**
+ * Interaction moderation
+ * Optional pre-moderation of new interactions. With `moderation: true`
+ * items from authors that were never approved are stored as pending and
+ * only served once approved. Approved authors, authors trusted by hand
+ * and followers from ap_followers skip the queue.
+ * @module moderation/moderation
+ */
+
+import { normalizeActorUrl } from "../matching/identity.js";
+
+/**
+ * Get the conversation_trusted_authors collection
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getTrustedCollection(application) {
+  return application.collections.get("conversation_trusted_authors");
+}
+
+/**
+ * Check whether moderation is enabled
+ * application may be the Indiekit instance (scheduler) or the
+ * application object (controllers).
+ * @param {object} application - Indiekit application or instance
+ * @returns {boolean}
+ */
+export function isModerationEnabled(application) {
+  const config =
+    application.config?.application?.conversations ||
+    application.conversations ||
+    {};
+  return config.moderation === true;
+}
+
+/**
+ * Moderation status for a newly stored item
+ * @param {object} application - Indiekit application
+ * @param {object} item - Conversation item
+ * @returns {Promise<string>} "approved" or "pending"
+ */
+export async function initialModerationStatus(application, item) {
+  if (!isModerationEnabled(application)) return "approved";
+  return (await isTrustedAuthor(application, item.author?.url))
+    ? "approved"
+    : "pending";
+}
+
+/**
+ * Check whether an author skips moderation
+ * @param {object} application - Indiekit application
+ * @param {string} authorUrl - Author URL
+ * @returns {Promise<boolean>}
+ */
+export async function isTrustedAuthor(application, authorUrl) {
+  const key = normalizeActorUrl(authorUrl);
+  if (!key) return false;
+
+  const trusted = getTrustedCollection(application);
+  if (trusted && (await trusted.findOne({ _id: key }))) return true;
+
+  // Fediverse followers are trusted; ap_followers stores actor ids
+  // (/users/name), interactions often carry profile URLs (/@name)
+  const followers = application.collections.get("ap_followers");
+  if (followers) {
+    const candidates = [authorUrl, authorUrl.replace(/\/@([^/]+)\/?$/, "/users/$1")];
+    if (await followers.findOne({ actorUrl: { $in: candidates } })) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Trust an author so future interactions skip the queue
+ * @param {object} application - Indiekit application
+ * @param {object} author - Author { name, url, photo }
+ * @param {string} reason - "approved" (an item was approved) or "trusted" (by hand)
+ */
+export async function trustAuthor(application, author, reason) {
+  const key = normalizeActorUrl(author?.url);
+  if (!key) return;
+
+  await getTrustedCollection(application).updateOne(
+    { _id: key },
+    {
+      $set: { author, reason, trusted_at: new Date().toISOString() },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * Stop trusting an author
+ * @param {object} application - Indiekit application
+ * @param {string} key - Normalized author key (_id in conversation_trusted_authors)
+ */
+export async function untrustAuthor(application, key) {
+  await getTrustedCollection(application).deleteOne({ _id: key });
+}
+
+/**
+ * List trusted authors, most recently trusted first
+ * @param {object} application - Indiekit application
+ * @returns {Promise<Array>} Trusted author documents
+ */
+export async function getTrustedAuthors(application) {
+  const trusted = getTrustedCollection(application);
+  if (!trusted) return [];
+  return trusted.find({}).sort({ trusted_at: -1 }).limit(200).toArray();
+}
+
+/**
+ * Set the moderation status of one item
+ * Items are addressed by their dedup key (canonical_url + platform_id).
+ * @param {object} application - Indiekit application
+ * @param {object} key - { canonical_url, platform_id }
+ * @param {string} status - "approved" or "rejected"
+ * @returns {Promise<object|null>} Updated item
+ */
+export async function setModerationStatus(application, key, status) {
+  const collection = application.collections.get("conversation_items");
+  return collection.findOneAndUpdate(
+    { canonical_url: key.canonical_url, platform_id: key.platform_id },
+    {
+      $set: {
+        moderation_status: status,
+        moderated_at: new Date().toISOString(),
+      },
+    },
+    { returnDocument: "after" },
+  );
+}
+
+/**
+ * Approve every pending item by an author
+ * @param {object} application - Indiekit application
+ * @param {string} authorUrl - Author URL
+ * @returns {Promise<number>} Number of approved items
+ */
+export async function approveAuthorItems(application, authorUrl) {
+  const collection = application.collections.get("conversation_items");
+  const result = await collection.updateMany(
+    { "author.url": authorUrl, moderation_status: "pending" },
+    {
+      $set: {
+        moderation_status: "approved",
+        moderated_at: new Date().toISOString(),
+      },
+    },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Publish every pending item
+ * Called at startup when moderation is off, so items queued while it
+ * was on don't stay hidden with no queue left to release them.
+ * @param {object} application - Indiekit application
+ * @returns {Promise<number>} Number of released items
+ */
+export async function releaseModerationQueue(application) {
+  const collection = application.collections.get("conversation_items");
+  const result = await collection.updateMany(
+    { moderation_status: "pending" },
+    {
+      $set: {
+        moderation_status: "approved",
+        moderated_at: new Date().toISOString(),
+      },
+    },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Get pending items, oldest first
+ * @param {object} application - Indiekit application
+ * @param {object} [options] - Query options
+ * @param {number} [options.limit] - Max items to return
+ * @returns {Promise<Array>} Pending conversation items
+ */
+export async function getModerationQueue(application, options = {}) {
+  const collection = application.collections.get("conversation_items");
+  return collection
+    .find({ moderation_status: "pending", deleted_at: null })
+    .sort({ received_at: 1 })
+    .limit(options.limit || 100)
+    .toArray();
+}
+
+/**
+ * Count items by moderation status
+ * @param {object} application - Indiekit application
+ * @returns {Promise<object>} { pending, rejected }
+ */
+export async function getModerationCounts(application) {
+  const collection = application.collections?.get("conversation_items");
+  if (!collection) return { pending: 0, rejected: 0 };
+
+  const [pending, rejected] = await Promise.all([
+    collection.countDocuments({ moderation_status: "pending", deleted_at: null }),
+    collection.countDocuments({ moderation_status: "rejected", deleted_at: null }),
+  ]);
+  return { pending, rejected };
+}
@@ -1,16 +1,24 @@
 /**
  * NodeInfo-based server software resolver
  * Fetches /.well-known/nodeinfo from a domain, follows the link,
- * and returns the software name (e.g., "mastodon", "pleroma", "misskey").
- * Results are cached in-memory and optionally persisted to MongoDB.
+ * and returns the software name (e.g., "mastodon", "pleroma", "misskey")
+ * together with its version, the instance title and its icon (for
+ * platform badges). Results are cached in-memory and optionally
+ * persisted to MongoDB; failed lookups are retried sooner than
+ * successful ones are refreshed.
  * @module nodeinfo/resolver
  */
 
 const NODEINFO_TIMEOUT_MS = 5000;
 const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const FAILURE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+// Domains resolved at the same time by batchResolve
+const RESOLVE_CONCURRENCY = 6;
 
-// In-memory cache: domain -> { software, resolvedAt }
+// In-memory cache: domain -> { software, version, title, icon, error, resolvedAt }
 const memoryCache = new Map();
+// Lookups in progress: domain -> Promise, so callers share one fetch
+const pending = new Map();
 
 /**
  * Resolve the server software for a given actor URL via NodeInfo.
@@ -26,49 +34,53 @@ export async function resolveServerSoftware(actorUrl, collection) {
   const domain = extractDomain(actorUrl);
   if (!domain) return "activitypub";
 
-  // Check in-memory cache first
-  const cached = memoryCache.get(domain);
-  if (cached && Date.now() - cached.resolvedAt < CACHE_TTL_MS) {
-    return cached.software;
-  }
-
-  // Check MongoDB cache
-  if (collection) {
-    try {
-      const doc = await collection.findOne({ _id: domain });
-      if (doc && Date.now() - new Date(doc.resolvedAt).getTime() < CACHE_TTL_MS) {
-        memoryCache.set(domain, {
-          software: doc.software,
-          resolvedAt: new Date(doc.resolvedAt).getTime(),
-        });
-        return doc.software;
-      }
-    } catch { /* proceed to live fetch */ }
-  }
-
-  // Live fetch via NodeInfo protocol
-  const software = await fetchNodeInfo(domain);
+  const entry = await resolveNodeInfo(domain, collection);
+  return entry.software;
+}
 
-  // Cache result (even "activitypub" fallback — avoids repeated failed lookups)
-  const entry = { software, resolvedAt: Date.now() };
-  memoryCache.set(domain, entry);
+/**
+ * Resolve NodeInfo metadata for a domain
+ * @param {string} domain - Instance hostname
+ * @param {object} [collection] - Optional MongoDB collection for persistent cache
+ * @param {object} [options] - Options
+ * @param {boolean} [options.refresh] - Ignore cached entries
+ * @returns {Promise<object>} { domain, software, version, title, icon, error, resolvedAt }
+ */
+export async function resolveNodeInfo(domain, collection, options = {}) {
+  if (!options.refresh) {
+    // Check in-memory cache first
+    const cached = memoryCache.get(domain);
+    if (cached && isFresh(cached)) return { domain, ...cached };
 
-  if (collection) {
-    try {
-      await collection.findOneAndUpdate(
-        { _id: domain },
-        { $set: { software, resolvedAt: new Date().toISOString() } },
-        { upsert: true },
-      );
-    } catch { /* non-critical */ }
+    // Check MongoDB cache
+    if (collection) {
+      try {
+        const doc = await collection.findOne({ _id: domain });
+        if (doc) {
+          const entry = fromDocument(doc);
+          if (isFresh(entry)) {
+            memoryCache.set(domain, entry);
+            return { domain, ...entry };
+          }
+        }
+      } catch { /* proceed to live fetch */ }
+    }
   }
 
-  return software;
+  // Live fetch via NodeInfo protocol, shared with concurrent callers
+  if (!pending.has(domain)) {
+    pending.set(
+      domain,
+      lookup(domain, collection).finally(() => pending.delete(domain)),
+    );
+  }
+  return pending.get(domain);
 }
 
 /**
  * Batch-resolve software for multiple actor URLs.
- * Deduplicates by domain so each domain is only queried once.
+ * Deduplicates by domain so each domain is only queried once, and
+ * queries up to RESOLVE_CONCURRENCY domains at a time.
  *
  * @param {string[]} actorUrls - Array of actor URLs
  * @param {object} [collection] - Optional MongoDB collection for persistent cache
@@ -81,16 +93,138 @@ export async function batchResolve(actorUrls, collection) {
     if (domain) domains.add(domain);
   }
 
+  const queue = [...domains];
   const results = new Map();
-  for (const domain of domains) {
-    results.set(
-      domain,
-      await resolveServerSoftware(`https://${domain}/`, collection),
-    );
-  }
+  const worker = async () => {
+    while (queue.length > 0) {
+      const domain = queue.shift();
+      const entry = await resolveNodeInfo(domain, collection);
+      results.set(domain, entry.software);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(RESOLVE_CONCURRENCY, queue.length) }, worker),
+  );
   return results;
 }
 
+/**
+ * List cached NodeInfo entries, most recently resolved first
+ * @param {object} collection - nodeinfo_cache collection
+ * @returns {Promise<Array>} [{ domain, software, version, title, icon, error, resolvedAt, expiresAt }]
+ */
+export async function getNodeInfoEntries(collection) {
+  if (!collection) return [];
+
+  const docs = await collection.find({}).sort({ resolvedAt: -1 }).toArray();
+  return docs.map((doc) => {
+    const entry = fromDocument(doc);
+    return {
+      domain: doc._id,
+      ...entry,
+      resolvedAt: doc.resolvedAt,
+      expiresAt: new Date(entry.resolvedAt + ttlOf(entry)).toISOString(),
+    };
+  });
+}
+
+/**
+ * Remove cached NodeInfo entries
+ * @param {object} collection - nodeinfo_cache collection
+ * @param {string} [domain] - Domain to purge (all entries if omitted)
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function purgeNodeInfo(collection, domain) {
+  if (domain) {
+    memoryCache.delete(domain);
+  } else {
+    memoryCache.clear();
+  }
+  if (!collection) return 0;
+
+  const result = await collection.deleteMany(domain ? { _id: domain } : {});
+  return result.deletedCount;
+}
+
+/**
+ * Fetch NodeInfo for a domain and cache the result
+ * Failures are cached too (as "activitypub" with the error), which
+ * avoids repeated failed lookups until FAILURE_TTL_MS has passed.
+ * @param {string} domain
+ * @param {object} [collection] - Optional MongoDB collection for persistent cache
+ * @returns {Promise<object>} { domain, software, version, title, icon, error, resolvedAt }
+ */
+async function lookup(domain, collection) {
+  let entry;
+  try {
+    entry = { ...(await fetchNodeInfo(domain)), error: null };
+  } catch (error) {
+    entry = {
+      software: "activitypub",
+      version: null,
+      title: null,
+      icon: null,
+      error: error.message,
+    };
+  }
+  entry.resolvedAt = Date.now();
+  memoryCache.set(domain, entry);
+
+  if (collection) {
+    try {
+      await collection.findOneAndUpdate(
+        { _id: domain },
+        {
+          $set: {
+            ...entry,
+            resolvedAt: new Date(entry.resolvedAt).toISOString(),
+          },
+        },
+        { upsert: true },
+      );
+    } catch { /* non-critical */ }
+  }
+
+  return { domain, ...entry };
+}
+
+/**
+ * Cache entry from a stored document
+ * Documents stored before failures were recorded count as failed when
+ * no software was found.
+ * @param {object} doc - nodeinfo_cache document
+ * @returns {object} { software, version, title, icon, error, resolvedAt }
+ */
+function fromDocument(doc) {
+  return {
+    software: doc.software,
+    version: doc.version || null,
+    title: doc.title || null,
+    icon: doc.icon || null,
+    error:
+      doc.error ||
+      (doc.software === "activitypub" ? "No NodeInfo software" : null),
+    resolvedAt: new Date(doc.resolvedAt).getTime(),
+  };
+}
+
+/**
+ * @param {object} entry - Cache entry
+ * @returns {number} Time to live in ms
+ */
+function ttlOf(entry) {
+  return entry.error ? FAILURE_TTL_MS : CACHE_TTL_MS;
+}
+
+/**
+ * @param {object} entry - Cache entry
+ * @returns {boolean} Whether the entry can still be used
+ */
+function isFresh(entry) {
+  return Date.now() - entry.resolvedAt < ttlOf(entry);
+}
+
 /**
  * Extract domain from a URL
  * @param {string} url
@@ -105,49 +239,76 @@ function extractDomain(url) {
 }
 
 /**
- * Fetch NodeInfo for a domain and return the software name
+ * Fetch JSON with the NodeInfo timeout
+ * @param {string} url
+ * @returns {Promise<object>}
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, {
+    headers: { Accept: "application/json" },
+    signal: AbortSignal.timeout(NODEINFO_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${new URL(url).pathname} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch NodeInfo for a domain
  * @param {string} domain
- * @returns {Promise<string>} Software name or "activitypub"
+ * @returns {Promise<object>} { software, version, title, icon }
  */
 async function fetchNodeInfo(domain) {
-  try {
-    // Step 1: Fetch /.well-known/nodeinfo
-    const wellKnownUrl = `https://${domain}/.well-known/nodeinfo`;
-    const wellKnownResp = await fetch(wellKnownUrl, {
-      headers: { Accept: "application/json" },
-      signal: AbortSignal.timeout(NODEINFO_TIMEOUT_MS),
-    });
-
-    if (!wellKnownResp.ok) return "activitypub";
+  // Step 1: Fetch /.well-known/nodeinfo
+  const wellKnown = await fetchJson(`https://${domain}/.well-known/nodeinfo`);
+  const links = wellKnown.links;
+  if (!Array.isArray(links) || links.length === 0) {
+    throw new Error("No NodeInfo links");
+  }
 
-    const wellKnown = await wellKnownResp.json();
-    const links = wellKnown.links;
-    if (!Array.isArray(links) || links.length === 0) return "activitypub";
+  // Prefer NodeInfo 2.x, fall back to any available link
+  const link =
+    links.find((l) => l.rel?.includes("nodeinfo/2.")) ||
+    links[0];
 
-    // Prefer NodeInfo 2.x, fall back to any available link
-    const link =
-      links.find((l) => l.rel?.includes("nodeinfo/2.")) ||
-      links[0];
+  if (!link?.href) throw new Error("No NodeInfo links");
 
-    if (!link?.href) return "activitypub";
+  // Step 2: Fetch the actual NodeInfo document
+  const nodeInfo = await fetchJson(link.href);
+  const softwareName = nodeInfo.software?.name;
 
-    // Step 2: Fetch the actual NodeInfo document
-    const nodeInfoResp = await fetch(link.href, {
-      headers: { Accept: "application/json" },
-      signal: AbortSignal.timeout(NODEINFO_TIMEOUT_MS),
-    });
-
-    if (!nodeInfoResp.ok) return "activitypub";
+  if (typeof softwareName !== "string" || !softwareName.trim()) {
+    throw new Error("No NodeInfo software");
+  }
 
-    const nodeInfo = await nodeInfoResp.json();
-    const softwareName = nodeInfo.software?.name;
+  // Instance title: nodeName is set by Mastodon, Misskey, Pleroma and others
+  const metadata = nodeInfo.metadata || {};
+  const title = metadata.nodeName || metadata.name || null;
 
-    if (typeof softwareName === "string" && softwareName.trim()) {
-      return softwareName.trim().toLowerCase();
-    }
+  return {
+    software: softwareName.trim().toLowerCase(),
+    version: nodeInfo.software.version || null,
+    title: typeof title === "string" ? title.trim() || null : null,
+    icon: await findIcon(domain),
+  };
+}
 
-    return "activitypub";
+/**
+ * Find an icon for an instance (its favicon)
+ * @param {string} domain
+ * @returns {Promise<string|null>} Icon URL, or null if there is none
+ */
+async function findIcon(domain) {
+  const url = `https://${domain}/favicon.ico`;
+  try {
+    const response = await fetch(url, {
+      method: "HEAD",
+      signal: AbortSignal.timeout(NODEINFO_TIMEOUT_MS),
+    });
+    const type = response.headers.get("content-type") || "";
+    return response.ok && type.startsWith("image/") ? url : null;
   } catch {
-    return "activitypub";
+    return null;
   }
 }
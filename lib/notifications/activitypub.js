@@ -2,7 +2,9 @@
  * ActivityPub interaction fetcher
  * Reads inbound interactions from the ap_activities collection
  * (populated by the AP endpoint's inbox listeners) and normalizes
- * them into the conversations plugin's internal format.
+ * them into the conversations plugin's internal format. Undo, Delete
+ * and Update activities become retractions and edits of interactions
+ * stored earlier.
  * @module notifications/activitypub
  */
 
@@ -13,8 +15,31 @@ const typeMap = {
   Like: "like",
   Announce: "repost",
   Reply: "reply",
+  EmojiReact: "reaction",
+  // Notes that may quote or link to our posts
+  Create: "mention",
 };
 
+/**
+ * Media types of a Link tag that points at an ActivityStreams object
+ */
+const activityStreamsMediaType =
+  /activity\+json|profile="https:\/\/www\.w3\.org\/ns\/activitystreams"/;
+
+/**
+ * Ways servers address the public collection
+ */
+const publicAddresses = new Set([
+  "https://www.w3.org/ns/activitystreams#Public",
+  "as:Public",
+  "Public",
+]);
+
+/**
+ * Activities that change an interaction stored earlier
+ */
+const retractionTypes = ["Undo", "Delete", "Tombstone", "Update"];
+
 /**
  * Fetch ActivityPub interactions since the given cursor
  * @param {object} options
@@ -22,14 +47,14 @@ const typeMap = {
  * @param {object} options.ap_followers - MongoDB collection (for avatar lookup)
  * @param {object} [options.nodeinfoCache] - MongoDB collection for NodeInfo cache
  * @param {string} [options.since] - ISO 8601 timestamp cursor (process activities after this)
- * @returns {Promise<{items: Array, cursor: string|null}>}
+ * @returns {Promise<{items: Array, cursor: string|null}>} Items in order received; retractions and edits carry an `action`
  */
 export async function fetchActivityPubInteractions(options) {
   const { ap_activities, ap_followers, nodeinfoCache, since } = options;
 
   const query = {
     direction: "inbound",
-    type: { $in: ["Like", "Announce", "Reply"] },
+    type: { $in: [...Object.keys(typeMap), ...retractionTypes] },
   };
 
   if (since) {
@@ -48,12 +73,21 @@ export async function fetchActivityPubInteractions(options) {
 
   // Resolve server software for all actor domains in this batch
   const { batchResolve } = await import("../nodeinfo/resolver.js");
-  const actorUrls = activities.map((a) => a.actorUrl).filter(Boolean);
+  const actorUrls = activities
+    .filter((a) => !retractionTypes.includes(a.type))
+    .map((a) => a.actorUrl)
+    .filter(Boolean);
   const domainSoftware = await batchResolve(actorUrls, nodeinfoCache);
 
   const items = [];
 
   for (const activity of activities) {
+    if (retractionTypes.includes(activity.type)) {
+      const retraction = normalizeRetraction(activity);
+      if (retraction) items.push(retraction);
+      continue;
+    }
+
     // Prefer avatar stored directly on the activity (added by inbox handler),
     // fall back to ap_followers lookup for historical data without actorAvatar
     const avatar =
@@ -94,33 +128,284 @@ function extractDomain(url) {
  * @returns {object} Normalized interaction
  */
 function normalizeActivity(activity, avatar, platform) {
-  const type = typeMap[activity.type] || "mention";
+  const reaction = activityReaction(activity);
+  // Misskey sends reactions as a Like with the emoji as content
+  const type = reaction ? "reaction" : typeMap[activity.type] || "mention";
   const isReply = activity.type === "Reply";
+  const isNote = isReply || activity.type === "Create";
 
   // For replies: targetUrl is your post, objectUrl is the reply
   // For likes/announces: objectUrl is your post, actorUrl is the source
-  const canonicalUrl = isReply
-    ? activity.targetUrl || activity.objectUrl
-    : activity.objectUrl;
+  // For other notes: the post is found from their quote or links
+  let canonicalUrl = null;
+  if (isReply) canonicalUrl = activity.targetUrl || activity.objectUrl;
+  else if (!isNote) canonicalUrl = activity.objectUrl;
+
+  const url = isNote ? activity.objectUrl : activity.actorUrl;
 
-  const url = isReply ? activity.objectUrl : activity.actorUrl;
+  // One actor can react to a post with several emoji
+  let platformId = `activitypub:${activity.type}:${activity.actorUrl}:${activity.objectUrl}`;
+  if (reaction) platformId += `:${reaction.emoji}`;
 
   return {
     platform,
-    platform_id: `activitypub:${activity.type}:${activity.actorUrl}:${activity.objectUrl}`,
+    platform_id: platformId,
     type,
     author: {
       name: activity.actorName || activity.actorUrl,
       url: activity.actorUrl,
       photo: avatar,
     },
-    content: activity.content || null,
+    content: reaction ? reaction.emoji : activity.content || null,
+    ...(isNote ? activityExtras(activity) : {}),
+    ...(reaction ? { reaction } : {}),
     url,
     canonical_url: canonicalUrl,
+    // Object id of the note a reply answers
+    ...(isReply ? { in_reply_to: activity.targetUrl || null } : {}),
+    // Notes (replies included) may quote or link to one of our posts
+    ...(isNote
+      ? {
+          quoted_url: quotedNoteUrl(activity),
+          linked_urls: extractLinkedUrls(activity),
+          visibility: noteVisibility(activity),
+        }
+      : {}),
     created_at: activity.receivedAt,
   };
 }
 
+/**
+ * Visibility of a note, from what the inbox handler recorded
+ * Uses a `visibility` field when the handler set one, otherwise the
+ * note's `to` and `cc` addressing. Followers-only and direct notes
+ * can't be told apart without the author's followers collection, so
+ * both are "private".
+ * @param {object} activity - Document from ap_activities
+ * @returns {string|null} public, unlisted or private; null when the addressing wasn't recorded
+ */
+function noteVisibility(activity) {
+  if (activity.visibility) return activity.visibility;
+  if (!activity.to && !activity.cc) return null;
+
+  const addressed = (field) =>
+    [activity[field] || []]
+      .flat()
+      .map((address) =>
+        typeof address === "string" ? address : address?.id || address?.href,
+      );
+  if (addressed("to").some((address) => publicAddresses.has(address))) {
+    return "public";
+  }
+  if (addressed("cc").some((address) => publicAddresses.has(address))) {
+    return "unlisted";
+  }
+  return "private";
+}
+
+/**
+ * URL of the note quoted by a quote post
+ * Servers name it differently: `quoteUrl` (Pleroma/Akkoma), `quoteUri`
+ * (Fedibird), `_misskey_quote` (Misskey), `quote` (FEP-044f), or a
+ * FEP-e232 Link tag whose media type is an ActivityStreams object.
+ * @param {object} activity - Document from ap_activities
+ * @returns {string|null} Quoted note URL
+ */
+function quotedNoteUrl(activity) {
+  const direct =
+    activity.quoteUrl ||
+    activity.quoteUri ||
+    activity._misskey_quote ||
+    activity.quote;
+  if (direct) return linkHref(direct.id || direct);
+
+  const link = [activity.tags || activity.tag || []]
+    .flat()
+    .find(
+      (tag) =>
+        tag?.type === "Link" &&
+        activityStreamsMediaType.test(tag.mediaType || ""),
+    );
+  return link ? linkHref(link.href) : null;
+}
+
+/**
+ * Collect the links in a note's content
+ * Mention and hashtag links point at profiles and tag pages, so they
+ * are left out, by class and by the note's Mention and Hashtag tags.
+ * @param {object} activity - Document from ap_activities
+ * @returns {Array<string>} Up to 10 URLs
+ */
+function extractLinkedUrls(activity) {
+  const tagged = new Set(
+    [activity.tags || activity.tag || []]
+      .flat()
+      .filter((tag) => ["Mention", "Hashtag"].includes(tag?.type))
+      .map((tag) => linkHref(tag.href)),
+  );
+
+  const urls = [];
+  for (const match of (activity.content || "").matchAll(/<a\s[^>]*>/gi)) {
+    const tag = match[0];
+    if (/class="[^"]*\b(mention|hashtag)\b/i.test(tag)) continue;
+    const href = tag.match(/href="([^"]+)"/i)?.[1]?.replaceAll("&amp;", "&");
+    if (href && !tagged.has(href)) urls.push(href);
+  }
+
+  return [...new Set(urls)].slice(0, 10);
+}
+
+/**
+ * Normalize an Undo, Delete or Update activity
+ * The interactions it affects are found by the platform IDs that
+ * normalizeActivity gave them. Those IDs include the actor, so an
+ * activity can only change interactions of the actor that sent it.
+ * @param {object} activity - Document from ap_activities
+ * @returns {object|null} { action, platform_ids, ... }, or null if nothing can match
+ */
+function normalizeRetraction(activity) {
+  if (!activity.actorUrl || !activity.objectUrl) return null;
+  const platformId = (type) =>
+    `activitypub:${type}:${activity.actorUrl}:${activity.objectUrl}`;
+
+  if (activity.type === "Undo") {
+    // objectUrl is the liked, boosted or reacted-to post; the undone
+    // activity's type is not always recorded, so all are tried
+    const undoable = ["Like", "Announce", "EmojiReact"];
+    const undone = activity.objectType || activity.object?.type;
+    const types = undoable.includes(undone) ? [undone] : undoable;
+
+    // Reaction ids end with the emoji. When the undone activity is
+    // embedded its emoji is known; otherwise every reaction of the
+    // actor to the post is matched.
+    const reaction =
+      typeof activity.object === "object" && activity.object
+        ? activityReaction({ ...activity.object, type: undone })
+        : null;
+    const reactionTypes = types.filter((type) => type !== "Announce");
+    return {
+      action: "undo",
+      platform_ids: reaction
+        ? [`${platformId(undone)}:${reaction.emoji}`]
+        : types.map(platformId),
+      platform_id_prefixes: reaction
+        ? []
+        : reactionTypes.map((type) => `${platformId(type)}:`),
+    };
+  }
+
+  if (activity.type === "Update") {
+    // Only notes have content to update (actor profile updates don't)
+    if (!activity.content) return null;
+    return {
+      action: "update",
+      platform_ids: [platformId("Reply"), platformId("Create")],
+      content: activity.content,
+      ...activityExtras(activity),
+      edited_at: activity.updated || activity.receivedAt,
+    };
+  }
+
+  // Delete (of a Note, usually sent as a Tombstone): objectUrl is the note
+  return {
+    action: "delete",
+    platform_ids: [platformId("Reply"), platformId("Create")],
+  };
+}
+
+/**
+ * Emoji of a reaction
+ * EmojiReact (Pleroma/Akkoma) and Like with content (Misskey) carry the
+ * emoji as content: a unicode emoji or a custom `:shortcode:` whose
+ * image is in the Emoji tag.
+ * @param {object} activity - Document from ap_activities
+ * @returns {object|null} { emoji, url } (url null for unicode emoji), or null if not a reaction
+ */
+function activityReaction(activity) {
+  if (!["EmojiReact", "Like"].includes(activity.type)) return null;
+
+  const emoji = String(activity.content || "")
+    .replace(/<[^>]*>/g, "")
+    .trim();
+  if (!emoji) return null;
+
+  const shortcode = emoji.match(/^:([^:\s]+):$/)?.[1];
+  const tag = shortcode
+    ? [activity.tags || activity.tag || []]
+        .flat()
+        .find(
+          (t) =>
+            t?.type === "Emoji" && t.name?.replace(/^:|:$/g, "") === shortcode,
+        )
+    : null;
+
+  return { emoji, url: tag ? linkHref(tag.icon?.url || tag.icon) : null };
+}
+
+/**
+ * Content warning, media and custom emoji of a reply
+ * Read from the AS2 properties the inbox handler copies onto the
+ * activity (summary, sensitive, attachment, tag).
+ * @param {object} activity - Document from ap_activities
+ * @returns {object} { summary, sensitive, media, emojis }
+ */
+function activityExtras(activity) {
+  const media = [activity.attachments || activity.attachment || []]
+    .flat()
+    .map((attachment) => {
+      const url = linkHref(attachment?.url);
+      const type = mediaType(attachment);
+      if (!url || !type) return null;
+      return {
+        type,
+        url,
+        alt: attachment.name || "",
+        preview_url: null,
+      };
+    })
+    .filter(Boolean);
+
+  const emojis = [activity.tags || activity.tag || []]
+    .flat()
+    .filter((tag) => tag?.type === "Emoji" && tag.name)
+    .map((tag) => ({
+      shortcode: tag.name.replace(/^:|:$/g, ""),
+      url: linkHref(tag.icon?.url || tag.icon),
+    }))
+    .filter((emoji) => emoji.url);
+
+  return {
+    summary: activity.summary || null,
+    sensitive: !!activity.sensitive,
+    media,
+    emojis,
+  };
+}
+
+/**
+ * JF2 media property for an AS2 attachment
+ * @param {object} attachment - AS2 Document/Image/Video/Audio
+ * @returns {string|null} "photo", "video", "audio" or null
+ */
+function mediaType(attachment) {
+  const mime = attachment?.mediaType || "";
+  if (attachment?.type === "Image" || mime.startsWith("image/")) return "photo";
+  if (attachment?.type === "Video" || mime.startsWith("video/")) return "video";
+  if (attachment?.type === "Audio" || mime.startsWith("audio/")) return "audio";
+  return null;
+}
+
+/**
+ * URL of an AS2 url value (string, Link object or array of either)
+ * @param {string|object|Array} value
+ * @returns {string|null}
+ */
+function linkHref(value) {
+  const first = [value].flat()[0];
+  if (!first) return null;
+  return typeof first === "string" ? first : first.href || null;
+}
+
 /**
  * Look up an actor's avatar from the ap_followers collection
  * @param {object} ap_followers - MongoDB collection
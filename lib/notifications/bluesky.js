@@ -4,20 +4,177 @@
  * @module notifications/bluesky
  */
 
-// Cached session (module-level, survives across poll cycles)
-let cachedSession = null;
-let sessionExpiresAt = 0;
+// Cached sessions per account (module-level, survive across poll cycles)
+// Map of "serviceUrl identifier" -> { session, expiresAt }
+const cachedSessions = new Map();
+
+const PAGE_SIZE = 50;
+const relevantReasons = new Set([
+  "reply",
+  "like",
+  "repost",
+  "mention",
+  "quote",
+]);
 
 /**
- * Fetch recent Bluesky notifications
+ * Page backwards through Bluesky notifications down to a point in time
+ * listNotifications returns newest first and its cursor pages backward
+ * into history. Paging stops at the first notification indexed before
+ * `stopAt`, when the history ends, or after `maxPages` pages; in the
+ * last case the returned cursor resumes where paging stopped.
+ * @param {object} options - Bluesky connection options (see fetchBlueskyNotifications)
+ * @param {object} range - Paging range
+ * @param {string} [range.cursor] - Start below this cursor (default: newest)
+ * @param {string} [range.stopAt] - indexedAt of the newest notification already seen
+ * @param {number} range.maxPages - Page budget
+ * @returns {Promise<object>} { items, newest, cursor, pages } (cursor is null when complete)
+ */
+export async function pageBlueskyNotifications(options, range) {
+  const items = [];
+  let newest = null;
+  let cursor = range.cursor || null;
+  let pages = 0;
+
+  while (pages < range.maxPages) {
+    const page = await fetchBlueskyNotifications({ ...options, cursor });
+    pages++;
+
+    let reachedStop = false;
+    for (const notification of page.notifications) {
+      if (range.stopAt && notification.indexedAt < range.stopAt) {
+        reachedStop = true;
+        break;
+      }
+      if (!newest || notification.indexedAt > newest) {
+        newest = notification.indexedAt;
+      }
+      if (relevantReasons.has(notification.reason)) {
+        items.push(normalizeNotification(notification));
+      }
+    }
+
+    cursor = page.cursor || null;
+    if (reachedStop || !cursor || page.notifications.length < PAGE_SIZE) {
+      return { items, newest, cursor: null, pages };
+    }
+  }
+
+  return { items, newest, cursor, pages };
+}
+
+/**
+ * Fetch one page of Bluesky notifications
  * @param {object} options - Bluesky connection options
  * @param {string} options.identifier - Bluesky handle or DID
  * @param {string} options.password - App password
  * @param {string} [options.serviceUrl] - PDS service URL
  * @param {string} [options.cursor] - Pagination cursor from previous fetch
- * @returns {Promise<object>} { items: Array, cursor: string }
+ * @returns {Promise<object>} { notifications: Array (raw, newest first), cursor: string }
  */
 export async function fetchBlueskyNotifications(options) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (options.cursor) params.set("cursor", options.cursor);
+
+  const data = await xrpcGet(
+    options,
+    "app.bsky.notification.listNotifications",
+    params,
+    "Bluesky notifications failed",
+  );
+
+  return {
+    notifications: data.notifications || [],
+    cursor: data.cursor,
+  };
+}
+
+/**
+ * Fetch the reply tree below a post with getPostThread
+ * Replies by blocked accounts and deleted replies come back as
+ * placeholder nodes; they are skipped together with anything below
+ * them. A root post that no longer exists fails with error.status 404.
+ * @param {object} options - Bluesky connection options (see fetchBlueskyNotifications)
+ * @param {string} options.uri - AT URI of the root post
+ * @param {number} [options.depth] - Reply depth to fetch (default 20)
+ * @returns {Promise<object>} { replies: Array (parents before children), skipped }
+ */
+export async function fetchBlueskyThread(options) {
+  const params = new URLSearchParams({
+    uri: options.uri,
+    depth: String(options.depth || 20),
+    parentHeight: "0",
+  });
+
+  const data = await xrpcGet(
+    options,
+    "app.bsky.feed.getPostThread",
+    params,
+    "Bluesky thread failed",
+  );
+
+  const replies = [];
+  let skipped = 0;
+  const root = data.thread?.post;
+  const queue = (data.thread?.replies || []).map((node) => ({
+    node,
+    parent: root,
+  }));
+
+  while (queue.length > 0) {
+    const { node, parent } = queue.shift();
+    if (!node?.post || node.blocked || node.notFound) {
+      skipped++;
+      continue;
+    }
+
+    replies.push(normalizeThreadPost(node.post, parent));
+    for (const child of node.replies || []) {
+      queue.push({ node: child, parent: node.post });
+    }
+  }
+
+  return { replies, skipped };
+}
+
+/**
+ * The account the credentials log in as
+ * @param {object} options - Bluesky connection options (see fetchBlueskyNotifications)
+ * @returns {Promise<object>} { did, handle }
+ */
+export async function fetchBlueskyAccount(options) {
+  const { identifier, password, serviceUrl = "https://bsky.social" } = options;
+  const session = await getSession(serviceUrl, identifier, password);
+  return { did: session.did, handle: session.handle };
+}
+
+/**
+ * Resolve a handle to its DID
+ * @param {object} options - Bluesky connection options (see fetchBlueskyNotifications)
+ * @param {string} handle - Bluesky handle
+ * @returns {Promise<string>} DID
+ */
+export async function resolveBlueskyHandle(options, handle) {
+  const data = await xrpcGet(
+    options,
+    "com.atproto.identity.resolveHandle",
+    new URLSearchParams({ handle }),
+    "Bluesky handle resolution failed",
+  );
+  return data.did;
+}
+
+/**
+ * Authenticated XRPC query through the account's PDS
+ * Re-authenticates once on 401. An XRPC "NotFound" error is reported
+ * as status 404.
+ * @param {object} options - Bluesky connection options
+ * @param {string} method - XRPC method (NSID)
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} errorPrefix - Error message prefix
+ * @returns {Promise<object>} Response body
+ */
+async function xrpcGet(options, method, params, errorPrefix) {
   const { identifier, password, serviceUrl = "https://bsky.social" } = options;
 
   if (!identifier || !password) {
@@ -26,51 +183,29 @@ export async function fetchBlueskyNotifications(options) {
 
   // Get or refresh session
   const session = await getSession(serviceUrl, identifier, password);
+  const url = `${serviceUrl}/xrpc/${method}?${params.toString()}`;
 
-  // Fetch the most recent notifications (no cursor)
-  // Bluesky's listNotifications returns newest first; the cursor pages backward
-  // into history. For polling, we always want the latest batch and rely on
-  // upsert deduplication (platform_id) to skip already-stored items.
-  const params = new URLSearchParams({ limit: "50" });
-
-  let notifResponse = await fetch(
-    `${serviceUrl}/xrpc/app.bsky.notification.listNotifications?${params.toString()}`,
-    {
-      headers: { Authorization: `Bearer ${session.accessJwt}` },
-    },
-  );
+  let response = await fetch(url, {
+    headers: { Authorization: `Bearer ${session.accessJwt}` },
+  });
 
   // On 401, force re-auth and retry once
-  if (notifResponse.status === 401) {
-    cachedSession = null;
+  if (response.status === 401) {
+    cachedSessions.delete(`${serviceUrl} ${identifier}`);
     const freshSession = await getSession(serviceUrl, identifier, password);
-    notifResponse = await fetch(
-      `${serviceUrl}/xrpc/app.bsky.notification.listNotifications?${params.toString()}`,
-      {
-        headers: { Authorization: `Bearer ${freshSession.accessJwt}` },
-      },
-    );
+    response = await fetch(url, {
+      headers: { Authorization: `Bearer ${freshSession.accessJwt}` },
+    });
   }
 
-  if (!notifResponse.ok) {
-    const error = new Error(
-      `Bluesky notifications failed: ${notifResponse.status}`,
-    );
-    error.status = notifResponse.status;
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(`${errorPrefix}: ${response.status}`);
+    error.status = body.error === "NotFound" ? 404 : response.status;
     throw error;
   }
 
-  const data = await notifResponse.json();
-  const relevantReasons = new Set(["reply", "like", "repost", "mention"]);
-
-  const items = data.notifications
-    .filter((n) => relevantReasons.has(n.reason))
-    .map((notification) => normalizeNotification(notification));
-
-  return {
-    items,
-    cursor: data.cursor,
-  };
+  return response.json();
 }
 
 /**
@@ -78,30 +213,32 @@ export async function fetchBlueskyNotifications(options) {
  */
 async function getSession(serviceUrl, identifier, password) {
   const now = Date.now();
+  const key = `${serviceUrl} ${identifier}`;
+  const cached = cachedSessions.get(key);
 
   // Try to refresh if we have a cached session nearing expiry (< 2 min left)
-  if (cachedSession && now < sessionExpiresAt - 120_000) {
-    return cachedSession;
+  if (cached && now < cached.expiresAt - 120_000) {
+    return cached.session;
   }
 
   // Try refresh if we have a refresh token
-  if (cachedSession?.refreshJwt) {
+  if (cached?.session.refreshJwt) {
     try {
       const refreshResponse = await fetch(
         `${serviceUrl}/xrpc/com.atproto.server.refreshSession`,
         {
           method: "POST",
           headers: {
-            Authorization: `Bearer ${cachedSession.refreshJwt}`,
+            Authorization: `Bearer ${cached.session.refreshJwt}`,
           },
         },
       );
 
       if (refreshResponse.ok) {
-        cachedSession = await refreshResponse.json();
+        const session = await refreshResponse.json();
         // AT Protocol access tokens typically last ~2 hours
-        sessionExpiresAt = now + 90 * 60 * 1000;
-        return cachedSession;
+        cachedSessions.set(key, { session, expiresAt: now + 90 * 60 * 1000 });
+        return session;
       }
     } catch {
       // Refresh failed, fall through to fresh auth
@@ -126,9 +263,9 @@ async function getSession(serviceUrl, identifier, password) {
     throw error;
   }
 
-  cachedSession = await sessionResponse.json();
-  sessionExpiresAt = now + 90 * 60 * 1000;
-  return cachedSession;
+  const session = await sessionResponse.json();
+  cachedSessions.set(key, { session, expiresAt: now + 90 * 60 * 1000 });
+  return session;
 }
 
 /**
@@ -136,6 +273,7 @@ async function getSession(serviceUrl, identifier, password) {
  * Returns the correct lookup URI depending on notification type:
  * - like/repost: notification.record.subject.uri (AT URI of YOUR post)
  * - reply: notification.record.reply.parent.uri (AT URI of YOUR post being replied to)
+ * - quote: the embedded record's URI (AT URI of YOUR post being quoted)
  * - mention: notification's own URI (the mentioning post)
  */
 function normalizeNotification(notification) {
@@ -150,6 +288,9 @@ function normalizeNotification(notification) {
   } else if (notification.reason === "reply") {
     // record.reply.parent.uri is the AT URI of the post being replied to
     subjectUri = notification.record?.reply?.parent?.uri || null;
+  } else if (notification.reason === "quote") {
+    // The quoted post is embedded as a record (optionally with media)
+    subjectUri = quotedUri(notification.record?.embed);
   }
 
   // Convert the subject URI to a web URL for syndication lookup
@@ -167,12 +308,14 @@ function normalizeNotification(notification) {
     platform: "bluesky",
     platform_id: `bluesky:${notification.uri}`,
     type,
+    author_did: notification.author.did,
     author: {
       name: notification.author.displayName || notification.author.handle,
       url: `https://bsky.app/profile/${notification.author.handle}`,
       photo: notification.author.avatar || null,
     },
-    content: notification.record?.text || null,
+    content: renderRichText(notification.record),
+    ...recordEmbeds(notification.record?.embed, notification.author.did),
     // URL of the interaction itself (for display)
     url: authorPostUrl,
     // URL of YOUR post for canonical lookup
@@ -185,16 +328,177 @@ function normalizeNotification(notification) {
   };
 }
 
+/**
+ * Normalize a post from a getPostThread reply tree
+ * @param {object} post - app.bsky.feed.defs#postView
+ * @param {object} parent - postView of the post it replies to
+ * @returns {object} { uri, parent_uri, parent_url, author_did, author, content, url, created_at }
+ */
+function normalizeThreadPost(post, parent) {
+  return {
+    uri: post.uri,
+    parent_uri: parent.uri,
+    parent_url: uriToPostUrl(parent.uri, parent.author?.handle),
+    author_did: post.author.did,
+    author: {
+      name: post.author.displayName || post.author.handle,
+      url: `https://bsky.app/profile/${post.author.handle}`,
+      photo: post.author.avatar || null,
+    },
+    content: renderRichText(post.record),
+    ...recordEmbeds(post.record?.embed, post.author.did, post.embed),
+    url: uriToPostUrl(post.uri, post.author.handle),
+    created_at: post.record?.createdAt || post.indexedAt,
+  };
+}
+
 function mapNotificationReason(reason) {
   const map = {
     reply: "reply",
     like: "like",
     repost: "repost",
     mention: "mention",
+    quote: "mention",
   };
   return map[reason] || "mention";
 }
 
+/**
+ * AT URI of the post quoted by an embed
+ * @param {object} [embed] - app.bsky.embed.record or recordWithMedia
+ * @returns {string|null} Quoted post URI
+ */
+function quotedUri(embed) {
+  if (!embed) return null;
+  if (embed.$type === "app.bsky.embed.recordWithMedia") {
+    return embed.record?.record?.uri || null;
+  }
+  return embed.record?.uri || null;
+}
+
+/**
+ * Render post text with its facets (links, mentions, hashtags) as HTML
+ * Facet ranges are UTF-8 byte offsets; overlapping or out-of-range
+ * facets are ignored.
+ * @param {object} [record] - app.bsky.feed.post record
+ * @returns {object|null} { text, html }, or null for posts without text
+ */
+function renderRichText(record) {
+  const text = record?.text;
+  if (!text) return null;
+
+  const bytes = new TextEncoder().encode(text);
+  const decoder = new TextDecoder();
+  const facets = [...(record.facets || [])].sort(
+    (a, b) => a.index.byteStart - b.index.byteStart,
+  );
+
+  let html = "";
+  let position = 0;
+  for (const facet of facets) {
+    const { byteStart, byteEnd } = facet.index || {};
+    if (!(byteStart >= position && byteEnd > byteStart)) continue;
+    if (byteEnd > bytes.length) continue;
+
+    const href = facetHref(facet.features?.[0]);
+    if (!href) continue;
+
+    html += escapeHtml(decoder.decode(bytes.slice(position, byteStart)));
+    html += `<a href="${escapeHtml(href)}">${escapeHtml(
+      decoder.decode(bytes.slice(byteStart, byteEnd)),
+    )}</a>`;
+    position = byteEnd;
+  }
+  html += escapeHtml(decoder.decode(bytes.slice(position)));
+
+  return { text, html: `<p>${html.replaceAll("\n", "<br>")}</p>` };
+}
+
+/**
+ * Link target of a rich-text facet feature
+ * @param {object} [feature] - Facet feature
+ * @returns {string|null} URL
+ */
+function facetHref(feature) {
+  switch (feature?.$type) {
+    case "app.bsky.richtext.facet#link":
+      return /^https?:\/\//.test(feature.uri || "") ? feature.uri : null;
+    case "app.bsky.richtext.facet#mention":
+      return feature.did ? `https://bsky.app/profile/${feature.did}` : null;
+    case "app.bsky.richtext.facet#tag":
+      return feature.tag
+        ? `https://bsky.app/hashtag/${encodeURIComponent(feature.tag)}`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Images and external link card of a post
+ * Post views (threads) carry ready-made image URLs; raw records
+ * (notifications) only reference blobs, which are served by the
+ * Bluesky CDN under the author's DID.
+ * @param {object} [embed] - Record embed
+ * @param {string} did - Author DID
+ * @param {object} [view] - Embed view from a postView, if available
+ * @returns {object} { media, link_card }
+ */
+function recordEmbeds(embed, did, view) {
+  // recordWithMedia wraps images or a link card next to the quote
+  const media = embed?.media || embed;
+  const mediaView = view?.media || view;
+
+  const images = (media?.images || []).map((image, index) => {
+    const imageView = mediaView?.images?.[index];
+    const cid = image.image?.ref?.$link || image.image?.ref?.toString?.();
+    return {
+      type: "photo",
+      url:
+        imageView?.fullsize ||
+        (cid && did
+          ? `https://cdn.bsky.app/img/feed_fullsize/plain/${did}/${cid}@jpeg`
+          : null),
+      alt: image.alt || "",
+      preview_url: imageView?.thumb || null,
+    };
+  });
+
+  const external = media?.external;
+  const externalView = mediaView?.external;
+  let linkCard = null;
+  if (external?.uri && /^https?:\/\//.test(external.uri)) {
+    const thumbCid = external.thumb?.ref?.$link;
+    linkCard = {
+      url: external.uri,
+      title: external.title || "",
+      description: external.description || "",
+      photo:
+        externalView?.thumb ||
+        (thumbCid && did
+          ? `https://cdn.bsky.app/img/feed_thumbnail/plain/${did}/${thumbCid}@jpeg`
+          : null),
+    };
+  }
+
+  return {
+    media: images.filter((image) => image.url),
+    link_card: linkCard,
+  };
+}
+
+/**
+ * @param {string} value
+ * @returns {string} HTML-escaped value
+ */
+function escapeHtml(value) {
+  return value
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;");
+}
+
 /**
  * Convert AT URI to Bluesky web URL
  * @param {string} uri - AT Protocol URI (at://did/app.bsky.feed.post/rkey)
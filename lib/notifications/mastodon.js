@@ -1,9 +1,28 @@
 /**
  * Mastodon notification fetcher
- * Direct polling of Mastodon notifications for interaction tracking
+ * Direct polling of Mastodon notifications for interaction tracking,
+ * plus the user:notification stream for real-time delivery
  * @module notifications/mastodon
  */
 
+// Notification types we handle; the stream delivers every type.
+// "update" means a status we were notified about has been edited.
+// Emoji reactions come from Pleroma/Akkoma ("pleroma:emoji_reaction")
+// and Fedibird-style forks ("emoji_reaction"); Mastodon ignores both.
+const notificationTypes = [
+  "mention",
+  "favourite",
+  "reblog",
+  "quote",
+  "update",
+  "pleroma:emoji_reaction",
+  "emoji_reaction",
+];
+
+// Mastodon sends a heartbeat comment every ~10s; silence longer than
+// this means the connection is dead
+const STREAM_IDLE_TIMEOUT = 60 * 1000;
+
 /**
  * Fetch recent Mastodon notifications with pagination
  * @param {object} options - Mastodon connection options
@@ -30,7 +49,9 @@ export async function fetchMastodonNotifications(options) {
     params.append("limit", "40");
 
     // Mastodon expects types[]=mention&types[]=favourite&types[]=reblog
-    for (const type of ["mention", "favourite", "reblog"]) {
+    // (quote notifications exist since Mastodon 4.5; older servers ignore it)
+    // plus types[]=update for edits
+    for (const type of notificationTypes) {
       params.append("types[]", type);
     }
 
@@ -83,6 +104,145 @@ export async function fetchMastodonNotifications(options) {
   );
 }
 
+/**
+ * Subscribe to the user:notification stream (Server-Sent Events)
+ * Resolves when the server closes the stream and rejects on connection
+ * errors or when no data (not even a heartbeat) arrives for a minute.
+ * Aborting the signal ends the stream without an error.
+ * @param {object} options - Mastodon connection options
+ * @param {string} options.url - Mastodon instance URL
+ * @param {string} options.accessToken - Access token
+ * @param {AbortSignal} options.signal - Abort signal to close the stream
+ * @param {Function} [options.onOpen] - Called once the stream is connected
+ * @param {Function} options.onNotification - Called with each normalized notification
+ */
+export async function streamMastodonNotifications(options) {
+  const { url, accessToken, signal, onOpen, onNotification } = options;
+
+  if (!url || !accessToken) {
+    throw new Error("Mastodon URL and access token required");
+  }
+
+  const baseUrl = url.replace(/\/$/, "");
+  const streamingUrl = await resolveStreamingUrl(baseUrl);
+
+  // Abort on the caller's signal or when the connection goes quiet
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort, { once: true });
+  let idleTimer = setTimeout(abort, STREAM_IDLE_TIMEOUT);
+
+  try {
+    const response = await fetch(
+      `${streamingUrl}/api/v1/streaming/user/notification`,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          Accept: "text/event-stream",
+        },
+        signal: controller.signal,
+      },
+    );
+
+    if (!response.ok) {
+      const error = new Error(
+        `Mastodon streaming API ${response.status}: ${response.statusText}`,
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    await onOpen?.();
+
+    // Time spent in onOpen is not silence on the stream
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(abort, STREAM_IDLE_TIMEOUT);
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const chunk of response.body) {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(abort, STREAM_IDLE_TIMEOUT);
+
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+
+        const event = parseStreamEvent(block);
+        if (event?.event !== "notification") continue;
+
+        const notification = JSON.parse(event.data);
+        if (!notificationTypes.includes(notification.type)) continue;
+
+        await onNotification(
+          normalizeNotification(notification, baseUrl, accessToken),
+        );
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) return;
+    if (controller.signal.aborted) {
+      throw new Error("Mastodon stream timed out");
+    }
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener("abort", abort);
+  }
+}
+
+/**
+ * Find the streaming server of an instance
+ * Large instances serve streaming from a separate host, advertised in
+ * the instance metadata; otherwise it is the instance itself.
+ * @param {string} baseUrl - Mastodon instance URL
+ * @returns {Promise<string>} Streaming base URL (https)
+ */
+async function resolveStreamingUrl(baseUrl) {
+  try {
+    const response = await fetch(`${baseUrl}/api/v2/instance`, {
+      signal: AbortSignal.timeout(10_000),
+    });
+    if (response.ok) {
+      const instance = await response.json();
+      const streaming = instance.configuration?.urls?.streaming;
+      if (streaming) {
+        return streaming.replace(/^ws(s?):/, "http$1:").replace(/\/$/, "");
+      }
+    }
+  } catch {
+    // Fall back to the instance URL
+  }
+  return baseUrl;
+}
+
+/**
+ * Parse one Server-Sent Events block
+ * Comment lines (heartbeats) are ignored.
+ * @param {string} block - Lines of one event
+ * @returns {object|null} { event, data }, or null for comment-only blocks
+ */
+function parseStreamEvent(block) {
+  let event = "message";
+  const data = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    if (field === "data") data.push(value);
+  }
+
+  return data.length > 0 ? { event, data: data.join("\n") } : null;
+}
+
 /**
  * Normalize a Mastodon notification into our internal format
  * Returns the correct lookup URL depending on notification type:
@@ -95,12 +255,18 @@ function normalizeNotification(notification, baseUrl, accessToken) {
   // Determine the correct URL for canonical post lookup
   let lookupUrl = null;
 
-  if (notification.type === "favourite" || notification.type === "reblog") {
+  const reaction = notificationReaction(notification);
+
+  if (
+    notification.type === "favourite" ||
+    notification.type === "reblog" ||
+    reaction
+  ) {
     // For favourites/reblogs, notification.status IS the post that was
     // favourited/reblogged — i.e., YOUR syndicated Mastodon post.
     // Its URL maps to your syndication URLs for reverse lookup.
     lookupUrl = notification.status?.url || null;
-  } else if (notification.type === "mention") {
+  } else if (notification.type === "mention" || notification.type === "quote") {
     // For mentions, notification.status is the OTHER person's reply.
     // We need notification.status.in_reply_to_id to find which of your
     // posts they replied to. The scheduler will resolve this.
@@ -117,12 +283,24 @@ function normalizeNotification(notification, baseUrl, accessToken) {
       url: notification.account.url,
       photo: notification.account.avatar,
     },
-    content: notification.status?.content || null,
+    content: reaction
+      ? reaction.emoji
+      : notification.status?.content || null,
+    ...statusExtras(notification.status, notification.account),
+    reaction,
     url: notification.status?.url || notification.account.url,
+    // Local ID of the status on our instance, for revalidation
+    status_id: notification.status?.id || null,
+    edited_at: notification.status?.edited_at || null,
     // The URL to use for finding which of YOUR posts was interacted with
     lookup_url: lookupUrl,
     // For mentions: the ID of the status being replied to (if any)
     in_reply_to_id: notification.status?.in_reply_to_id || null,
+    // public, unlisted, private (followers-only) or direct
+    visibility: notification.status?.visibility || null,
+    // For mentions and quotes: links that may point at one of our posts
+    linked_urls: extractLinkedUrls(notification.status),
+    quoted_url: quotedStatusUrl(notification.status),
     created_at: notification.created_at,
     raw_id: notification.id,
     raw_type: notification.type,
@@ -134,6 +312,268 @@ function mapNotificationType(type) {
     mention: "reply",
     favourite: "like",
     reblog: "repost",
+    "pleroma:emoji_reaction": "reaction",
+    emoji_reaction: "reaction",
   };
   return map[type] || "mention";
 }
+
+/**
+ * Emoji of a reaction notification
+ * Pleroma/Akkoma send `emoji` (and `emoji_url` for custom emoji);
+ * Fedibird-style servers send an `emoji_reaction` object.
+ * @param {object} notification - Mastodon API notification
+ * @returns {object|null} { emoji, url } (url null for unicode emoji)
+ */
+function notificationReaction(notification) {
+  if (notification.type === "pleroma:emoji_reaction" && notification.emoji) {
+    const url = notification.emoji_url || null;
+    const name = notification.emoji.replace(/^:|:$/g, "");
+    return { emoji: url ? `:${name}:` : notification.emoji, url };
+  }
+
+  const reaction = notification.emoji_reaction;
+  if (notification.type === "emoji_reaction" && reaction?.name) {
+    return {
+      emoji: reaction.url ? `:${reaction.name}:` : reaction.name,
+      url: reaction.url || null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Collect the links in a status: content links and the preview card
+ * Mention and hashtag links point at profiles and tag pages, so they
+ * are left out.
+ * @param {object} [status] - Mastodon status entity
+ * @returns {Array<string>} Up to 10 URLs
+ */
+function extractLinkedUrls(status) {
+  if (!status) return [];
+
+  const urls = [];
+  for (const match of (status.content || "").matchAll(/<a\s[^>]*>/gi)) {
+    const tag = match[0];
+    if (/class="[^"]*\b(mention|hashtag)\b/i.test(tag)) continue;
+    const href = tag.match(/href="([^"]+)"/i)?.[1];
+    if (href) urls.push(href.replaceAll("&amp;", "&"));
+  }
+  if (status.card?.url) urls.push(status.card.url);
+
+  return [...new Set(urls)].slice(0, 10);
+}
+
+/**
+ * URL of the status quoted by a quote post
+ * Mastodon 4.4+ wraps it as `quote.quoted_status`; some forks put the
+ * status itself in `quote`.
+ * @param {object} [status] - Mastodon status entity
+ * @returns {string|null} Quoted status URL
+ */
+function quotedStatusUrl(status) {
+  const quote = status?.quote;
+  if (!quote) return null;
+  return quote.quoted_status?.url || quote.url || null;
+}
+
+/**
+ * Fetch the replies below a status via the status context API
+ * Only public and unlisted replies are returned; followers-only and
+ * direct messages are never republished.
+ * @param {object} options - Mastodon connection options
+ * @param {string} options.url - Mastodon instance URL
+ * @param {string} options.accessToken - Access token
+ * @param {string} options.statusId - Local ID of the root status
+ * @returns {Promise<Array>} Normalized replies (descendants in thread order)
+ */
+export async function fetchMastodonContext(options) {
+  const { url, accessToken, statusId } = options;
+
+  const baseUrl = url.replace(/\/$/, "");
+  const response = await fetch(
+    `${baseUrl}/api/v1/statuses/${statusId}/context`,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    },
+  );
+
+  if (!response.ok) {
+    const error = new Error(
+      `Mastodon API ${response.status}: ${response.statusText}`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const context = await response.json();
+
+  return (context.descendants || [])
+    .filter((status) => ["public", "unlisted"].includes(status.visibility))
+    .map((status) => normalizeStatus(status));
+}
+
+/**
+ * Fetch the account the access token belongs to
+ * @param {object} options - Mastodon connection options
+ * @param {string} options.url - Mastodon instance URL
+ * @param {string} options.accessToken - Access token
+ * @returns {Promise<object>} { id, url }
+ */
+export async function fetchMastodonAccount(options) {
+  const baseUrl = options.url.replace(/\/$/, "");
+  const response = await fetch(
+    `${baseUrl}/api/v1/accounts/verify_credentials`,
+    {
+      headers: {
+        Authorization: `Bearer ${options.accessToken}`,
+      },
+    },
+  );
+
+  if (!response.ok) {
+    const error = new Error(
+      `Mastodon API ${response.status}: ${response.statusText}`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const account = await response.json();
+  return { id: account.id, url: account.url };
+}
+
+/**
+ * Fetch a single status by its local ID
+ * A status deleted by its author answers 404 (error.status).
+ * @param {object} options - Mastodon connection options
+ * @param {string} options.url - Mastodon instance URL
+ * @param {string} options.accessToken - Access token
+ * @param {string} options.statusId - Local status ID
+ * @returns {Promise<object>} Normalized status
+ */
+export async function fetchMastodonStatus(options) {
+  const baseUrl = options.url.replace(/\/$/, "");
+  const response = await fetch(
+    `${baseUrl}/api/v1/statuses/${options.statusId}`,
+    {
+      headers: {
+        Authorization: `Bearer ${options.accessToken}`,
+      },
+    },
+  );
+
+  if (!response.ok) {
+    const error = new Error(
+      `Mastodon API ${response.status}: ${response.statusText}`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  return normalizeStatus(await response.json());
+}
+
+/**
+ * Find the local ID of a status by its URL
+ * Only statuses the instance already knows are looked up; nothing is
+ * fetched from remote servers.
+ * @param {object} options - Mastodon connection options
+ * @param {string} options.url - Mastodon instance URL
+ * @param {string} options.accessToken - Access token
+ * @param {string} options.statusUrl - Status URL
+ * @returns {Promise<string|null>} Local status ID
+ */
+export async function findMastodonStatusId(options) {
+  const baseUrl = options.url.replace(/\/$/, "");
+  const params = new URLSearchParams({
+    q: options.statusUrl,
+    type: "statuses",
+    resolve: "false",
+    limit: "1",
+  });
+  const response = await fetch(`${baseUrl}/api/v2/search?${params}`, {
+    headers: {
+      Authorization: `Bearer ${options.accessToken}`,
+    },
+  });
+
+  if (!response.ok) {
+    const error = new Error(
+      `Mastodon API ${response.status}: ${response.statusText}`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const results = await response.json();
+  return results.statuses?.[0]?.id || null;
+}
+
+/**
+ * Normalize a Mastodon status from the context or status API
+ * @param {object} status - Mastodon status entity
+ * @returns {object} { id, in_reply_to_id, author, content, url, created_at, edited_at }
+ */
+function normalizeStatus(status) {
+  return {
+    id: status.id,
+    in_reply_to_id: status.in_reply_to_id || null,
+    account_id: status.account.id,
+    author: {
+      name: status.account.display_name || status.account.username,
+      url: status.account.url,
+      photo: status.account.avatar,
+    },
+    content: status.content || null,
+    ...statusExtras(status, status.account),
+    url: status.url || status.uri,
+    created_at: status.created_at,
+    edited_at: status.edited_at || null,
+  };
+}
+
+// Mastodon attachment types -> JF2 media properties
+const mediaTypes = {
+  image: "photo",
+  gifv: "video",
+  video: "video",
+  audio: "audio",
+};
+
+/**
+ * Content warning, media and custom emoji of a status
+ * Kept so replies can be rendered the way they look on the origin
+ * server. Account emoji are included for display names.
+ * @param {object} [status] - Mastodon status entity
+ * @param {object} [account] - Mastodon account entity (author)
+ * @returns {object} { summary, sensitive, media, emojis }
+ */
+function statusExtras(status, account) {
+  const media = (status?.media_attachments || [])
+    .filter((attachment) => mediaTypes[attachment.type])
+    .map((attachment) => ({
+      type: mediaTypes[attachment.type],
+      url: attachment.url || attachment.remote_url,
+      alt: attachment.description || "",
+      preview_url: attachment.preview_url || null,
+    }))
+    .filter((attachment) => attachment.url);
+
+  const emojis = new Map();
+  for (const emoji of [...(status?.emojis || []), ...(account?.emojis || [])]) {
+    if (emoji.shortcode && emoji.url && !emojis.has(emoji.shortcode)) {
+      emojis.set(emoji.shortcode, { shortcode: emoji.shortcode, url: emoji.url });
+    }
+  }
+
+  return {
+    summary: status?.spoiler_text || null,
+    sensitive: !!status?.sensitive,
+    media,
+    emojis: [...emojis.values()],
+  };
+}
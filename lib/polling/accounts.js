@@ -0,0 +1,166 @@
+/**
+ * Polled platform accounts
+ * Mastodon and Bluesky accounts come from the `accounts` plugin option
+ * and, for single-account setups, from the MASTODON_* / BLUESKY_*
+ * environment variables (as the account named "default"). Each account
+ * keeps its own cursor, last poll time and last error in
+ * conversation_state under `account:<platform>:<name>`.
+ * @module polling/accounts
+ */
+
+const platforms = new Set(["mastodon", "bluesky"]);
+
+/**
+ * Collect the configured accounts
+ * @param {object} [options] - Plugin options
+ * @returns {Array<object>} Accounts: { id, platform, name, ...credentials }
+ */
+export function getAccounts(options = {}) {
+  const accounts = [];
+
+  for (const entry of options.accounts || []) {
+    const platform = String(entry?.platform || "").toLowerCase();
+    if (!platforms.has(platform)) continue;
+
+    const account = normalizeAccount(platform, entry);
+    if (account && !accounts.some((a) => a.id === account.id)) {
+      accounts.push(account);
+    }
+  }
+
+  const envMastodon = normalizeAccount("mastodon", {
+    name: "default",
+    url: process.env.MASTODON_URL || process.env.MASTODON_INSTANCE,
+    accessToken: process.env.MASTODON_ACCESS_TOKEN,
+  });
+  if (envMastodon && !accounts.some((a) => a.id === envMastodon.id)) {
+    accounts.push(envMastodon);
+  }
+
+  const envBluesky = normalizeAccount("bluesky", {
+    name: "default",
+    identifier: process.env.BLUESKY_IDENTIFIER || process.env.BLUESKY_HANDLE,
+    password: process.env.BLUESKY_PASSWORD,
+  });
+  if (envBluesky && !accounts.some((a) => a.id === envBluesky.id)) {
+    accounts.push(envBluesky);
+  }
+
+  return accounts;
+}
+
+/**
+ * Public description of an account (no credentials)
+ * @param {object} account - Account from getAccounts
+ * @returns {object} { id, platform, name, label }
+ */
+export function describeAccount(account) {
+  return {
+    id: account.id,
+    platform: account.platform,
+    name: account.name,
+    label:
+      account.platform === "mastodon"
+        ? account.url.replace(/^https?:\/\//, "")
+        : account.identifier.replace(/^@+/, ""),
+  };
+}
+
+/**
+ * Load an account's poll state
+ * The "default" Mastodon account picks up the cursor stored in
+ * poll_cursors before per-account state existed.
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} account - Account from getAccounts
+ * @param {object} pollCursors - poll_cursors document
+ * @returns {Promise<object>} Account state document (may be empty)
+ */
+export async function getAccountState(stateCollection, account, pollCursors) {
+  const state = await stateCollection.findOne({ _id: stateId(account) });
+  if (state) return state;
+
+  if (account.id === "mastodon:default" && pollCursors.mastodon_since_id) {
+    return { since_id: pollCursors.mastodon_since_id };
+  }
+  return {};
+}
+
+/**
+ * Update an account's poll state
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} account - Account from getAccounts
+ * @param {object} fields - Fields to set (since_id, last_poll, last_error, ...)
+ */
+export async function updateAccountState(stateCollection, account, fields) {
+  await stateCollection.findOneAndUpdate(
+    { _id: stateId(account) },
+    {
+      $set: {
+        ...fields,
+        kind: "account",
+        platform: account.platform,
+        account: account.id,
+      },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * Accounts with their poll state, for the dashboard and /api/status
+ * @param {object} application - Indiekit application
+ * @returns {Promise<Array>} [{ id, platform, name, label, state }]
+ */
+export async function getAccountStatuses(application) {
+  const config = application.conversations || {};
+  const stateCollection = application.collections?.get("conversation_state");
+  const accounts = getAccounts(config);
+
+  const states = stateCollection
+    ? await stateCollection.find({ kind: "account" }).toArray()
+    : [];
+
+  return accounts.map((account) => ({
+    ...describeAccount(account),
+    state: states.find((state) => state._id === stateId(account)) || {},
+  }));
+}
+
+/**
+ * @param {object} account - Account from getAccounts
+ * @returns {string} conversation_state document ID
+ */
+function stateId(account) {
+  return `account:${account.id}`;
+}
+
+/**
+ * Validate and normalize one account entry
+ * @param {string} platform - "mastodon" or "bluesky"
+ * @param {object} entry - Account options
+ * @returns {object|null} Account, or null when credentials are missing
+ */
+function normalizeAccount(platform, entry) {
+  const name = String(entry.name || "default");
+
+  if (platform === "mastodon") {
+    if (!entry.url || !entry.accessToken) return null;
+    return {
+      id: `mastodon:${name}`,
+      platform,
+      name,
+      url: String(entry.url).replace(/\/$/, ""),
+      accessToken: entry.accessToken,
+    };
+  }
+
+  if (!entry.identifier || !entry.password) return null;
+  return {
+    id: `bluesky:${name}`,
+    platform,
+    name,
+    identifier: entry.identifier,
+    password: entry.password,
+    serviceUrl: entry.serviceUrl || "https://bsky.social",
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Bluesky handle refresh
+ * Bluesky authors are identified by a stable DID, but items link to
+ * their profile and posts by handle, which can change. Every poll cycle
+ * a batch of authors whose DID was not resolved within the last day is
+ * resolved again; when the verified handle changed, the author and post
+ * URLs of their stored items are rewritten. Items stored before the DID
+ * was kept get it from their AT URI first. DIDs that fail to resolve
+ * are cached as well, so they don't take up every batch.
+ * @module polling/bluesky-handles
+ */
+
+import { resolveDid } from "../did/resolver.js";
+import { updateConversationItems } from "../storage/conversation-items.js";
+
+const REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+const DIDS_PER_CYCLE = 50;
+const BACKFILL_PER_CYCLE = 500;
+// DIDs resolved at the same time
+const RESOLVE_CONCURRENCY = 5;
+
+/**
+ * Refresh the handles of a batch of Bluesky authors
+ * @param {object} indiekit - Indiekit instance (has .collections)
+ */
+export async function refreshBlueskyHandles(indiekit) {
+  try {
+    const itemsCollection = indiekit.collections.get("conversation_items");
+    if (!itemsCollection) return;
+    const didCache = indiekit.collections.get("did_cache");
+
+    await backfillAuthorDids(itemsCollection);
+
+    const dids = await itemsCollection.distinct("author_did", {
+      source: "bluesky",
+      author_did: { $ne: null },
+      deleted_at: null,
+    });
+    if (dids.length === 0) return;
+
+    const fresh = new Set();
+    if (didCache) {
+      const cached = await didCache
+        .find({
+          _id: { $in: dids },
+          resolvedAt: {
+            $gte: new Date(Date.now() - REFRESH_INTERVAL).toISOString(),
+          },
+        })
+        .project({ _id: 1 })
+        .toArray();
+      for (const doc of cached) fresh.add(doc._id);
+    }
+
+    const due = dids.filter((did) => !fresh.has(did)).slice(0, DIDS_PER_CYCLE);
+
+    const queue = [...due];
+    const handles = new Map();
+    const worker = async () => {
+      while (queue.length > 0) {
+        const did = queue.shift();
+        const resolved = await resolveDid(did, didCache, { refresh: true });
+        // Unresolvable or unverified: keep the URLs we have
+        if (resolved?.handle) handles.set(did, resolved.handle);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(RESOLVE_CONCURRENCY, queue.length) }, worker),
+    );
+
+    let changed = 0;
+
+    for (const [did, handle] of handles) {
+      const profileUrl = `https://bsky.app/profile/${handle}`;
+      const stale = await itemsCollection
+        .find({
+          source: "bluesky",
+          author_did: did,
+          "author.url": { $ne: profileUrl },
+          deleted_at: null,
+        })
+        .toArray();
+
+      for (const item of stale) {
+        const oldHandle = item.author?.url?.split("/profile/")[1];
+        const fields = { "author.url": profileUrl };
+        if (item.url?.startsWith("https://bsky.app/profile/")) {
+          fields.url = item.url.replace(
+            /^https:\/\/bsky\.app\/profile\/[^/]+/,
+            profileUrl,
+          );
+        }
+        // Authors without a display name are shown by handle
+        if (oldHandle && item.author?.name === oldHandle) {
+          fields["author.name"] = handle;
+        }
+        changed += await updateConversationItems(
+          indiekit,
+          { _id: item._id },
+          fields,
+        );
+      }
+    }
+
+    if (changed > 0) {
+      console.info(
+        `[Conversations] Bluesky handles: checked ${due.length} authors, updated ${changed} items`,
+      );
+    }
+  } catch (error) {
+    console.error("[Conversations] Bluesky handle refresh error:", error.message);
+  }
+}
+
+/**
+ * Derive author_did from the AT URI of items stored before it was kept
+ * The platform ID of a Bluesky item is the AT URI of the author's own
+ * record (post, like or repost), so its repository is the author's DID.
+ * @param {object} itemsCollection - conversation_items collection
+ */
+async function backfillAuthorDids(itemsCollection) {
+  const items = await itemsCollection
+    .find({
+      source: "bluesky",
+      author_did: null,
+      platform_id: { $regex: "^bluesky:at://did:" },
+    })
+    .project({ platform_id: 1 })
+    .limit(BACKFILL_PER_CYCLE)
+    .toArray();
+
+  for (const item of items) {
+    const did = item.platform_id.match(/^bluesky:at:\/\/(did:[^/]+)\//)?.[1];
+    if (!did) continue;
+    await itemsCollection.updateOne(
+      { _id: item._id },
+      { $set: { author_did: did } },
+    );
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Real-time Mastodon ingestion
+ * With `streaming: true`, every Mastodon account also keeps a
+ * user:notification stream open, so replies show up within seconds
+ * instead of at the next poll. A dropped stream is reopened with
+ * exponential backoff; after each reconnect the account is polled once
+ * to pick up notifications sent while it was down. Regular polling keeps
+ * running as a safety net. Stream status is kept in the account state.
+ * @module polling/mastodon-stream
+ */
+
+import { updateAccountState } from "./accounts.js";
+
+const RECONNECT_BASE_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+// A stream that stayed up this long resets the backoff
+const STABLE_CONNECTION = 60 * 1000;
+
+const streams = new Map();
+
+/**
+ * Check whether streaming is enabled
+ * @param {object} [options] - Plugin options
+ * @returns {boolean}
+ */
+export function isStreamingEnabled(options = {}) {
+  return options.streaming === true;
+}
+
+/**
+ * Open a notification stream for each Mastodon account
+ * @param {object} indiekit - Indiekit instance (has .collections)
+ * @param {Array<object>} accounts - Mastodon accounts from getAccounts
+ * @param {object} handlers - Callbacks into the scheduler
+ * @param {Function} handlers.onNotification - (account, notification) => Promise
+ * @param {Function} handlers.onReconnect - (account) => Promise, fills the gap
+ */
+export function startMastodonStreams(indiekit, accounts, handlers) {
+  const stateCollection = indiekit.collections.get("conversation_state");
+
+  for (const account of accounts) {
+    if (streams.has(account.id)) continue;
+
+    const stream = { controller: new AbortController(), failures: 0 };
+    streams.set(account.id, stream);
+
+    runStream(stateCollection, account, stream, handlers).catch((error) => {
+      console.error(
+        `[Conversations] Mastodon (${account.name}) stream stopped:`,
+        error.message,
+      );
+    });
+  }
+}
+
+/**
+ * Close all notification streams
+ */
+export function stopMastodonStreams() {
+  for (const stream of streams.values()) {
+    stream.controller.abort();
+  }
+  streams.clear();
+}
+
+/**
+ * Keep one account's stream open until it is stopped
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} account - Mastodon account
+ * @param {object} stream - { controller, failures }
+ * @param {object} handlers - { onNotification, onReconnect }
+ */
+async function runStream(stateCollection, account, stream, handlers) {
+  const { streamMastodonNotifications } = await import(
+    "../notifications/mastodon.js"
+  );
+  const { signal } = stream.controller;
+  let connectedBefore = false;
+
+  while (!signal.aborted) {
+    let openedAt = null;
+
+    try {
+      await streamMastodonNotifications({
+        url: account.url,
+        accessToken: account.accessToken,
+        signal,
+        onOpen: async () => {
+          openedAt = Date.now();
+          await updateAccountState(stateCollection, account, {
+            stream_status: "connected",
+            stream_connected_at: new Date(openedAt).toISOString(),
+            stream_error: null,
+          });
+          console.info(
+            `[Conversations] Mastodon (${account.name}) stream connected`,
+          );
+
+          // Notifications sent while the stream was down. Filled in the
+          // background: a slow or failing poll must not hold up or tear
+          // down the stream that just opened.
+          if (connectedBefore) {
+            handlers.onReconnect(account).catch((error) => {
+              console.error(
+                `[Conversations] Mastodon (${account.name}) gap fill error:`,
+                error.message,
+              );
+            });
+          }
+          connectedBefore = true;
+        },
+        onNotification: (notification) =>
+          handlers.onNotification(account, notification),
+      });
+      if (signal.aborted) break;
+      throw new Error("Stream closed by server");
+    } catch (error) {
+      if (signal.aborted) break;
+
+      if (openedAt && Date.now() - openedAt >= STABLE_CONNECTION) {
+        stream.failures = 0;
+      }
+      const delay = Math.min(
+        RECONNECT_BASE_DELAY * 2 ** stream.failures,
+        MAX_RECONNECT_DELAY,
+      );
+      stream.failures++;
+
+      console.warn(
+        `[Conversations] Mastodon (${account.name}) stream disconnected (${error.message}), reconnecting in ${Math.round(delay / 1000)}s`,
+      );
+      await updateAccountState(stateCollection, account, {
+        stream_status: "reconnecting",
+        stream_error: error.message,
+      }).catch(() => {});
+
+      await sleep(delay, signal);
+    }
+  }
+
+  await updateAccountState(stateCollection, account, {
+    stream_status: "stopped",
+  }).catch(() => {});
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true },
+    );
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * Mastodon reply revalidation
+ * Replies and mentions stay on our site after their authors edit or
+ * delete them unless we look again. Every poll cycle a small batch of
+ * recent Mastodon replies is re-fetched from the account's instance:
+ * edited content is refreshed, and replies that now return 404 are
+ * tombstoned so they are no longer republished.
+ * @module polling/revalidate
+ */
+
+import {
+  tombstoneConversationItems,
+  updateConversationItems,
+} from "../storage/conversation-items.js";
+
+const REVALIDATE_WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 days
+const REVALIDATE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const ITEMS_PER_CYCLE = 20;
+
+/**
+ * Re-fetch a batch of recent replies stored through one Mastodon account
+ * @param {object} indiekit - Indiekit instance (has .collections)
+ * @param {object} credentials - Mastodon account (id, name, url, accessToken)
+ */
+export async function revalidateMastodonItems(indiekit, credentials) {
+  try {
+    const itemsCollection = indiekit.collections.get("conversation_items");
+    if (!itemsCollection) return;
+
+    const now = Date.now();
+    const due = await itemsCollection
+      .find({
+        source: "mastodon",
+        type: { $in: ["reply", "mention"] },
+        // Items stored before accounts existed belong to the default account
+        account:
+          credentials.name === "default"
+            ? { $in: [credentials.id, null] }
+            : credentials.id,
+        deleted_at: null,
+        created_at: {
+          $gte: new Date(now - REVALIDATE_WINDOW).toISOString(),
+        },
+        $or: [
+          { revalidated_at: null },
+          {
+            revalidated_at: {
+              $lt: new Date(now - REVALIDATE_INTERVAL).toISOString(),
+            },
+          },
+        ],
+      })
+      .sort({ revalidated_at: 1, created_at: -1 })
+      .limit(ITEMS_PER_CYCLE)
+      .toArray();
+    if (due.length === 0) return;
+
+    const { fetchMastodonStatus, findMastodonStatusId } = await import(
+      "../notifications/mastodon.js"
+    );
+    let removed = 0;
+    let edited = 0;
+
+    for (const item of due) {
+      const checkedAt = new Date().toISOString();
+
+      try {
+        // Items stored before status IDs were kept are looked up by URL
+        const statusId =
+          item.status_id ||
+          item.platform_id?.match(/^mastodon:status:(\d+)$/)?.[1] ||
+          (await findMastodonStatusId({
+            ...credentials,
+            statusUrl: item.url,
+          }));
+
+        if (!statusId) {
+          // Unknown to the instance: not proof of deletion, check again later
+          await markRevalidated(itemsCollection, item, checkedAt);
+          continue;
+        }
+
+        const status = await fetchMastodonStatus({ ...credentials, statusId });
+
+        if (
+          status.content !== item.content ||
+          status.summary !== (item.summary ?? null) ||
+          // Stored before media and emoji were kept
+          item.media === undefined
+        ) {
+          await updateConversationItems(
+            indiekit,
+            { _id: item._id },
+            {
+              content: status.content,
+              summary: status.summary,
+              sensitive: status.sensitive,
+              media: status.media,
+              emojis: status.emojis,
+              edited_at: status.edited_at,
+            },
+          );
+          edited++;
+        }
+        await markRevalidated(itemsCollection, item, checkedAt, statusId);
+      } catch (error) {
+        if (error.status === 404) {
+          removed += await tombstoneConversationItems(
+            indiekit,
+            { _id: item._id },
+            "source_gone",
+            "mastodon_api",
+          );
+          continue;
+        }
+        if (error.status === 429) break;
+        await markRevalidated(itemsCollection, item, checkedAt);
+      }
+    }
+
+    if (removed > 0 || edited > 0) {
+      console.info(
+        `[Conversations] Mastodon (${credentials.name}) revalidation: checked ${due.length}, removed ${removed}, refreshed ${edited}`,
+      );
+    }
+  } catch (error) {
+    console.error(
+      `[Conversations] Mastodon (${credentials.name}) revalidation error:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Record when an item was last checked (and its status ID once known)
+ * @param {object} itemsCollection - conversation_items collection
+ * @param {object} item - Stored item
+ * @param {string} checkedAt - ISO date of the check
+ * @param {string} [statusId] - Local status ID
+ */
+async function markRevalidated(itemsCollection, item, checkedAt, statusId) {
+  const fields = { revalidated_at: checkedAt };
+  if (statusId) fields.status_id = statusId;
+  await itemsCollection.updateOne({ _id: item._id }, { $set: fields });
+}
@@ -4,11 +4,43 @@
  * @module polling/scheduler
  */
 
-import { findCanonicalPost } from "../matching/syndication-map.js";
-import { upsertConversationItem } from "../storage/conversation-items.js";
+import {
+  findCanonicalPost,
+  findLinkedPost,
+  isSiteUrl,
+} from "../matching/syndication-map.js";
+import { generateIdentityKey } from "../matching/identity.js";
+import { loadBlocklist } from "../moderation/blocklist.js";
+import {
+  mergeDuplicateItems,
+  provenanceEntry,
+  tombstoneConversationItems,
+  updateConversationItems,
+  upsertConversationItem,
+} from "../storage/conversation-items.js";
+import {
+  getAccounts,
+  getAccountState,
+  updateAccountState,
+} from "./accounts.js";
+import {
+  isStreamingEnabled,
+  startMastodonStreams,
+  stopMastodonStreams,
+} from "./mastodon-stream.js";
+import { refreshBlueskyHandles } from "./bluesky-handles.js";
+import { revalidateMastodonItems } from "./revalidate.js";
+import {
+  crawlBlueskyThreads,
+  crawlMastodonThreads,
+  markThreadActive,
+} from "./thread-crawl.js";
 
 const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes
 const MAX_POLL_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const BLUESKY_PAGES_PER_CYCLE = 10; // 500 notifications
+const MAX_BLUESKY_BACKFILL = 10;
+const BACKFILL_BATCH_SIZE = 500; // Writes per bulkWrite in migrations
 
 let pollTimer = null;
 let currentInterval = DEFAULT_POLL_INTERVAL;
@@ -29,6 +61,27 @@ export function startPolling(indiekit, options) {
   });
 
   scheduleNextPoll();
+
+  if (isStreamingEnabled(options)) {
+    const accounts = getAccounts(options).filter(
+      (account) => account.platform === "mastodon",
+    );
+    startMastodonStreams(indiekit, accounts, {
+      onNotification: (account, notification) =>
+        handleStreamedNotification(indiekit, account, notification),
+      onReconnect: async (account) => {
+        const stateCollection = indiekit.collections.get("conversation_state");
+        const pollCursors =
+          (await stateCollection.findOne({ _id: "poll_cursors" })) || {};
+        const state = await getAccountState(
+          stateCollection,
+          account,
+          pollCursors,
+        );
+        await pollMastodon(indiekit, stateCollection, state, account);
+      },
+    });
+  }
 }
 
 /**
@@ -40,6 +93,7 @@ export function stopPolling() {
     pollTimer = null;
   }
   pollContext = null;
+  stopMastodonStreams();
 }
 
 /**
@@ -52,31 +106,27 @@ export async function runPollCycle(indiekit, options) {
   const state =
     (await stateCollection.findOne({ _id: "poll_cursors" })) || {};
 
-  // Detect enabled platforms from env vars
-  const mastodonUrl =
-    process.env.MASTODON_URL || process.env.MASTODON_INSTANCE;
-  const mastodonToken = process.env.MASTODON_ACCESS_TOKEN;
-  const hasMastodon = mastodonUrl && mastodonToken;
-
-  const bskyIdentifier =
-    process.env.BLUESKY_IDENTIFIER || process.env.BLUESKY_HANDLE;
-  const bskyPassword = process.env.BLUESKY_PASSWORD;
-  const hasBluesky = bskyIdentifier && bskyPassword;
-
-  // Poll Mastodon
-  if (hasMastodon) {
-    await pollMastodon(indiekit, stateCollection, state, {
-      url: mastodonUrl,
-      accessToken: mastodonToken,
-    });
+  // Mastodon and Bluesky accounts from options and env vars, each with
+  // its own cursor and status
+  for (const account of getAccounts(options)) {
+    const accountState = await getAccountState(stateCollection, account, state);
+
+    if (account.platform === "mastodon") {
+      // Poll notifications, crawl reply threads below syndicated statuses,
+      // then re-check stored replies for edits and deletions
+      await pollMastodon(indiekit, stateCollection, accountState, account);
+      await crawlMastodonThreads(indiekit, stateCollection, accountState, account);
+      await revalidateMastodonItems(indiekit, account);
+    } else {
+      // Poll notifications, then crawl reply trees below syndicated posts
+      await pollBluesky(indiekit, stateCollection, accountState, account);
+      await crawlBlueskyThreads(indiekit, stateCollection, accountState, account);
+    }
   }
 
-  // Poll Bluesky
-  if (hasBluesky) {
-    await pollBluesky(indiekit, stateCollection, state, {
-      identifier: bskyIdentifier,
-      password: bskyPassword,
-    });
+  // Follow handle changes of Bluesky authors in stored items
+  if (getAccounts(options).some((account) => account.platform === "bluesky")) {
+    await refreshBlueskyHandles(indiekit);
   }
 
   // Poll ActivityPub (auto-detect from local collections)
@@ -95,6 +145,32 @@ export async function runPollCycle(indiekit, options) {
     await pollActivityPub(indiekit, stateCollection, state);
   }
 
+  // Verify webmentions still pending (e.g. queued before a restart)
+  try {
+    const { processWebmentionQueue } = await import(
+      "../ingestion/webmention-receiver.js"
+    );
+    await processWebmentionQueue(indiekit);
+  } catch (error) {
+    console.error(
+      "[Conversations] Webmention queue error:",
+      error.message,
+    );
+  }
+
+  // Send Salmentions that are due (retries, entries left over from a restart)
+  try {
+    const { processSalmentionQueue } = await import(
+      "../salmention/salmention.js"
+    );
+    await processSalmentionQueue(indiekit);
+  } catch (error) {
+    console.error(
+      "[Conversations] Salmention queue error:",
+      error.message,
+    );
+  }
+
   // Normalize trailing slashes in canonical_url (one-time migration)
   await normalizeCanonicalUrls(indiekit, stateCollection);
 
@@ -106,6 +182,9 @@ export async function runPollCycle(indiekit, options) {
 
   // Backfill channel field for items predating its introduction (one-time)
   await backfillChannelField(indiekit, stateCollection);
+
+  // Merge copies of one interaction stored through different channels (one-time)
+  await mergeCrossChannelDuplicates(indiekit, stateCollection);
 }
 
 /**
@@ -459,7 +538,95 @@ async function backfillChannelField(indiekit, stateCollection) {
 }
 
 /**
- * Poll Mastodon notifications and store matching interactions
+ * One-time migration: give existing items an identity key, platform_ids
+ * and provenance, then merge items that describe the same interaction
+ * but were stored twice through different channels (e.g. a Mastodon
+ * reply from the API and again from a Bridgy webhook).
+ * Runs after the channel backfill, since merging prefers items by channel.
+ * Items and duplicate groups are streamed with cursors and written in
+ * batches, so large collections are never loaded at once.
+ */
+async function mergeCrossChannelDuplicates(indiekit, stateCollection) {
+  try {
+    const itemsCollection = indiekit.collections.get("conversation_items");
+    if (!itemsCollection) return;
+
+    const state = await stateCollection.findOne({ _id: "poll_cursors" });
+    if (state?.identity_merge_complete) return;
+
+    let keyed = 0;
+    let operations = [];
+    const writeBatch = async () => {
+      if (operations.length === 0) return;
+      await itemsCollection.bulkWrite(operations, { ordered: false });
+      keyed += operations.length;
+      operations = [];
+    };
+
+    const unkeyed = itemsCollection.find({ identity_key: { $exists: false } });
+    for await (const item of unkeyed) {
+      operations.push({
+        updateOne: {
+          filter: { _id: item._id },
+          update: {
+            $set: {
+              identity_key: generateIdentityKey(item),
+              platform_ids: item.platform_ids || [item.platform_id],
+              provenance: item.provenance || [provenanceEntry(item)],
+            },
+          },
+        },
+      });
+      if (operations.length >= BACKFILL_BATCH_SIZE) await writeBatch();
+    }
+    await writeBatch();
+
+    const groups = itemsCollection.aggregate(
+      [
+        { $match: { identity_key: { $ne: null } } },
+        {
+          $group: {
+            _id: { canonical_url: "$canonical_url", identity_key: "$identity_key" },
+            ids: { $push: "$_id" },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+      ],
+      { allowDiskUse: true },
+    );
+
+    let merged = 0;
+
+    for await (const group of groups) {
+      const items = await itemsCollection
+        .find({ _id: { $in: group.ids } })
+        .toArray();
+      merged += await mergeDuplicateItems(indiekit, items);
+    }
+
+    if (keyed > 0 || merged > 0) {
+      console.info(
+        `[Conversations] Identity backfill: keyed ${keyed} items, merged ${merged} cross-channel duplicates`,
+      );
+    }
+
+    await stateCollection.findOneAndUpdate(
+      { _id: "poll_cursors" },
+      { $set: { identity_merge_complete: true } },
+      { upsert: true },
+    );
+  } catch (error) {
+    console.warn("[Conversations] Identity backfill error:", error.message);
+  }
+}
+
+/**
+ * Poll Mastodon notifications for one account and store matching interactions
+ * @param {object} indiekit - Indiekit instance
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} state - Account state (since_id cursor)
+ * @param {object} credentials - Mastodon account (id, url, accessToken)
  */
 async function pollMastodon(indiekit, stateCollection, state, credentials) {
   try {
@@ -470,98 +637,64 @@ async function pollMastodon(indiekit, stateCollection, state, credentials) {
     const notifications = await fetchMastodonNotifications({
       url: credentials.url,
       accessToken: credentials.accessToken,
-      sinceId: state.mastodon_since_id,
+      sinceId: state.since_id,
     });
 
+    const context = {
+      blocklist: await loadBlocklist(indiekit),
+      siteUrl: resolveSiteUrl(indiekit),
+    };
     let stored = 0;
+    let blocked = 0;
+    let updated = 0;
 
     for (const notification of notifications) {
-      let canonicalUrl = null;
-
-      if (
-        notification.raw_type === "favourite" ||
-        notification.raw_type === "reblog"
-      ) {
-        // For favourites/reblogs, lookup_url is YOUR syndicated post URL
-        // This should match posts.properties.syndication
-        if (notification.lookup_url) {
-          canonicalUrl = await findCanonicalPost(
-            indiekit,
-            notification.lookup_url,
-          );
-        }
-      } else if (notification.raw_type === "mention") {
-        // For mentions (replies), we need to find which of YOUR posts
-        // was replied to. If in_reply_to_id exists, we need to resolve it.
-        // For now, try the lookup_url (the mention URL itself)
-        // and fall back to checking if it's a reply to any known syndication
-        if (notification.in_reply_to_id && credentials.url) {
-          // Try to resolve the in_reply_to status URL
-          const parentUrl = await resolvemastodonStatusUrl(
-            credentials.url,
-            credentials.accessToken,
-            notification.in_reply_to_id,
-          );
-          if (parentUrl) {
-            canonicalUrl = await findCanonicalPost(indiekit, parentUrl);
-          }
-        }
-      }
-
-      if (canonicalUrl) {
-        await upsertConversationItem(indiekit, {
-          canonical_url: canonicalUrl,
-          source: "mastodon",
-          channel: "mastodon_api",
-          type: notification.type,
-          author: notification.author,
-          content: notification.content,
-          url: notification.url,
-          bridgy_url: null,
-          platform_id: notification.platform_id,
-          created_at: notification.created_at,
-        });
-        stored++;
-      }
+      const result = await storeMastodonNotification(
+        indiekit,
+        stateCollection,
+        credentials,
+        notification,
+        context,
+      );
+      if (result === "stored") stored++;
+      if (result === "blocked") blocked++;
+      if (result === "updated") updated++;
     }
 
-    // Update cursor and status
+    // Update cursor and status. The stream may have moved the cursor
+    // past this batch while it was stored, so it never moves back.
     const updateFields = {
-      mastodon_last_poll: new Date().toISOString(),
-      mastodon_last_error: null,
+      last_poll: new Date().toISOString(),
+      last_error: null,
     };
     if (notifications.length > 0) {
-      updateFields.mastodon_since_id = notifications[0].raw_id;
+      const current = await getAccountState(stateCollection, credentials, {});
+      if (isNewerId(notifications[0].raw_id, current.since_id)) {
+        updateFields.since_id = notifications[0].raw_id;
+      }
     }
 
-    await stateCollection.findOneAndUpdate(
-      { _id: "poll_cursors" },
-      { $set: updateFields },
-      { upsert: true },
-    );
+    await updateAccountState(stateCollection, credentials, updateFields);
 
-    if (stored > 0) {
+    if (stored > 0 || blocked > 0 || updated > 0) {
       console.info(
-        `[Conversations] Mastodon: stored ${stored}/${notifications.length} interactions`,
+        `[Conversations] Mastodon (${credentials.name}): stored ${stored}/${notifications.length} interactions, blocked ${blocked}, updated ${updated}`,
       );
     }
 
     // Reset interval on success
     resetInterval();
   } catch (error) {
-    console.error("[Conversations] Mastodon poll error:", error.message);
+    console.error(
+      `[Conversations] Mastodon (${credentials.name}) poll error:`,
+      error.message,
+    );
 
     // Record error in state
-    await stateCollection.findOneAndUpdate(
-      { _id: "poll_cursors" },
-      {
-        $set: {
-          mastodon_last_poll: new Date().toISOString(),
-          mastodon_last_error: error.message,
-        },
-      },
-      { upsert: true },
-    );
+    await updateAccountState(stateCollection, credentials, {
+      last_poll: new Date().toISOString(),
+      last_error: error.message,
+    });
 
     // Backoff on rate limit or auth errors
     if (error.status === 429 || error.status === 401) {
@@ -571,25 +704,264 @@ async function pollMastodon(indiekit, stateCollection, state, credentials) {
 }
 
 /**
- * Poll Bluesky notifications and store matching interactions
+ * Store a notification received on an account's stream
+ * The cursor moves forward too, so the poll after a reconnect starts
+ * where the stream left off.
+ * @param {object} indiekit - Indiekit instance
+ * @param {object} account - Mastodon account (id, url, accessToken)
+ * @param {object} notification - Normalized notification
+ */
+async function handleStreamedNotification(indiekit, account, notification) {
+  const stateCollection = indiekit.collections.get("conversation_state");
+
+  try {
+    const context = {
+      blocklist: await loadBlocklist(indiekit),
+      siteUrl: resolveSiteUrl(indiekit),
+    };
+    const result = await storeMastodonNotification(
+      indiekit,
+      stateCollection,
+      account,
+      notification,
+      context,
+    );
+
+    const state = await getAccountState(stateCollection, account, {});
+    if (isNewerId(notification.raw_id, state.since_id)) {
+      await updateAccountState(stateCollection, account, {
+        since_id: notification.raw_id,
+      });
+    }
+
+    if (result === "stored" || result === "updated") {
+      console.info(
+        `[Conversations] Mastodon (${account.name}): streamed ${notification.raw_type} ${result}`,
+      );
+    }
+  } catch (error) {
+    console.error(
+      `[Conversations] Mastodon (${account.name}) stream event error:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Compare Mastodon notification IDs (numeric strings, too large for Number)
+ * @param {string} id - Candidate ID
+ * @param {string} [current] - Current cursor
+ * @returns {boolean} True if id is newer than current
+ */
+function isNewerId(id, current) {
+  if (!current) return true;
+  if (id.length !== current.length) return id.length > current.length;
+  return id > current;
+}
+
+/**
+ * Match one Mastodon notification to a post and store it
+ * Shared by polling and the notification stream.
+ * @param {object} indiekit - Indiekit instance
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} credentials - Mastodon account (id, url, accessToken)
+ * @param {object} notification - Normalized notification
+ * @param {object} context - { blocklist, siteUrl }
+ * @returns {Promise<string|null>} "stored", "blocked", "updated", or null (no matching post)
+ */
+async function storeMastodonNotification(
+  indiekit,
+  stateCollection,
+  credentials,
+  notification,
+  context,
+) {
+  // An edit of a status we may have stored — refresh its content
+  if (notification.raw_type === "update") {
+    const updated = await updateConversationItems(
+      indiekit,
+      { url: notification.url },
+      {
+        content: notification.content,
+        summary: notification.summary,
+        sensitive: notification.sensitive,
+        media: notification.media,
+        emojis: notification.emojis,
+        edited_at: notification.edited_at,
+      },
+    );
+    return updated > 0 ? "updated" : null;
+  }
+
+  let canonicalUrl = null;
+  let parentUrl = null;
+  let type = notification.type;
+
+  if (
+    notification.raw_type === "favourite" ||
+    notification.raw_type === "reblog" ||
+    notification.reaction
+  ) {
+    // For favourites/reblogs/reactions, lookup_url is YOUR syndicated post URL
+    // This should match posts.properties.syndication
+    if (notification.lookup_url) {
+      canonicalUrl = await findCanonicalPost(
+        indiekit,
+        notification.lookup_url,
+      );
+    }
+  } else if (notification.raw_type === "mention") {
+    // For mentions (replies), we need to find which of YOUR posts
+    // was replied to. If in_reply_to_id exists, we need to resolve it.
+    // For now, try the lookup_url (the mention URL itself)
+    // and fall back to checking if it's a reply to any known syndication
+    if (notification.in_reply_to_id && credentials.url) {
+      // Try to resolve the in_reply_to status URL
+      parentUrl = await resolvemastodonStatusUrl(
+        credentials.url,
+        credentials.accessToken,
+        notification.in_reply_to_id,
+      );
+      if (parentUrl) {
+        canonicalUrl = await findCanonicalPost(indiekit, parentUrl);
+      }
+    }
+  }
+
+  // Not a reply to us — a quote of our syndicated status, or a fresh
+  // toot sharing a link to one of our posts, is stored as a mention.
+  // Only public and unlisted toots: a direct or followers-only toot
+  // linking to us must not be republished on the site.
+  if (
+    !canonicalUrl &&
+    ["mention", "quote"].includes(notification.raw_type) &&
+    ["public", "unlisted"].includes(notification.visibility)
+  ) {
+    if (notification.quoted_url) {
+      canonicalUrl = await findCanonicalPost(
+        indiekit,
+        notification.quoted_url,
+      );
+    }
+    if (!canonicalUrl && notification.linked_urls.length > 0) {
+      canonicalUrl = await findLinkedPost(
+        indiekit,
+        notification.linked_urls,
+        context.siteUrl,
+      );
+    }
+    if (canonicalUrl) {
+      type = "mention";
+      parentUrl = null;
+    }
+  }
+
+  if (!canonicalUrl) return null;
+
+  const item = {
+    canonical_url: canonicalUrl,
+    source: "mastodon",
+    channel: "mastodon_api",
+    account: credentials.id,
+    type,
+    author: notification.author,
+    content: notification.content,
+    url: notification.url,
+    bridgy_url: null,
+    platform_id: notification.platform_id,
+    created_at: notification.created_at,
+  };
+  if (parentUrl) item.in_reply_to = parentUrl;
+  if (notification.reaction) item.reaction = notification.reaction;
+  // Replies and mentions keep their local status ID for revalidation,
+  // and their content warning, media and custom emoji for rendering
+  if (["mention", "quote"].includes(notification.raw_type)) {
+    item.status_id = notification.status_id;
+    item.summary = notification.summary;
+    item.sensitive = notification.sensitive;
+    item.media = notification.media;
+    item.emojis = notification.emojis;
+  }
+  if (context.blocklist.isBlocked(item)) return "blocked";
+  await upsertConversationItem(indiekit, item);
+
+  // A new reply often means more are coming further down the thread
+  if (item.type === "reply") {
+    await markThreadActive(stateCollection, canonicalUrl);
+  }
+
+  return "stored";
+}
+
+/**
+ * Poll Bluesky notifications for one account and store matching interactions
+ * Pages back to the newest notification seen by the last poll
+ * (`newest_indexed_at`). When the page budget runs out first, the rest
+ * is kept in `backfill` and fetched by later cycles.
+ * @param {object} indiekit - Indiekit instance
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} state - Account state (newest_indexed_at, backfill)
+ * @param {object} credentials - Bluesky account (id, identifier, password, serviceUrl)
  */
 async function pollBluesky(indiekit, stateCollection, state, credentials) {
   try {
-    const { fetchBlueskyNotifications } = await import(
+    const { pageBlueskyNotifications } = await import(
       "../notifications/bluesky.js"
     );
 
-    const result = await fetchBlueskyNotifications({
+    const connection = {
       identifier: credentials.identifier,
       password: credentials.password,
+      serviceUrl: credentials.serviceUrl,
+    };
+    const highWater = state.newest_indexed_at || null;
+    let budget = BLUESKY_PAGES_PER_CYCLE;
+
+    // Newest first, down to the last poll. The first poll only takes
+    // the latest page instead of the whole history.
+    const head = await pageBlueskyNotifications(connection, {
+      stopAt: highWater,
+      maxPages: highWater ? budget : 1,
     });
+    budget -= head.pages;
+    const items = [...head.items];
+
+    const gaps = [...(state.backfill || [])];
+    if (head.cursor && highWater) {
+      gaps.unshift({ cursor: head.cursor, stop_at: highWater });
+    }
 
+    // Resume gaps left by earlier cycles with what is left of the budget
+    const backfill = [];
+    for (const gap of gaps) {
+      if (budget <= 0) {
+        backfill.push(gap);
+        continue;
+      }
+      const page = await pageBlueskyNotifications(connection, {
+        cursor: gap.cursor,
+        stopAt: gap.stop_at,
+        maxPages: budget,
+      });
+      budget -= page.pages;
+      items.push(...page.items);
+      if (page.cursor) backfill.push({ ...gap, cursor: page.cursor });
+    }
+    if (backfill.length > MAX_BLUESKY_BACKFILL) {
+      console.warn(
+        `[Conversations] Bluesky (${credentials.name}): dropping ${backfill.length - MAX_BLUESKY_BACKFILL} backfill gaps`,
+      );
+      backfill.length = MAX_BLUESKY_BACKFILL;
+    }
+
+    const blocklist = await loadBlocklist(indiekit);
     let stored = 0;
+    let blocked = 0;
 
     // Derive own handle to skip self-interactions
     const ownBskyHandle = (credentials.identifier || "").replace(/^@+/, "").toLowerCase();
 
-    for (const notification of result.items) {
+    for (const notification of items) {
       // Skip self-interactions (own account liking/reposting a syndicated post)
       if (ownBskyHandle && (notification.author?.handle || "").toLowerCase() === ownBskyHandle) {
         continue;
@@ -606,55 +978,70 @@ async function pollBluesky(indiekit, stateCollection, state, credentials) {
       }
 
       if (canonicalUrl) {
-        await upsertConversationItem(indiekit, {
+        const item = {
           canonical_url: canonicalUrl,
           source: "bluesky",
           channel: "bluesky_api",
+          account: credentials.id,
           type: notification.type,
           author: notification.author,
+          author_did: notification.author_did,
           content: notification.content,
           url: notification.url,
           bridgy_url: null,
           platform_id: notification.platform_id,
           created_at: notification.created_at,
-        });
+        };
+        // Posts keep their images and link card for rendering
+        if (["reply", "mention", "quote"].includes(notification.raw_reason)) {
+          item.media = notification.media;
+          item.link_card = notification.link_card;
+        }
+        if (notification.raw_reason === "reply") {
+          item.at_uri = notification.raw_uri;
+          item.in_reply_to = notification.lookup_url;
+          item.in_reply_to_uri = notification.subject_uri;
+        }
+        if (blocklist.isBlocked(item)) {
+          blocked++;
+          continue;
+        }
+        await upsertConversationItem(indiekit, item);
         stored++;
+
+        // A new reply often means more are coming further down the thread
+        if (item.type === "reply") {
+          await markThreadActive(stateCollection, canonicalUrl);
+        }
       }
     }
 
-    // Update poll timestamp
-    await stateCollection.findOneAndUpdate(
-      { _id: "poll_cursors" },
-      {
-        $set: {
-          bluesky_last_poll: new Date().toISOString(),
-          bluesky_last_error: null,
-        },
-      },
-      { upsert: true },
-    );
+    // Update high-water mark, pending gaps and poll timestamp
+    await updateAccountState(stateCollection, credentials, {
+      newest_indexed_at: head.newest || highWater,
+      backfill,
+      last_poll: new Date().toISOString(),
+      last_error: null,
+    });
 
-    if (stored > 0 || result.items.length > 0) {
+    if (stored > 0 || items.length > 0) {
       console.info(
-        `[Conversations] Bluesky: stored ${stored}/${result.items.length} interactions`,
+        `[Conversations] Bluesky (${credentials.name}): stored ${stored}/${items.length} interactions, blocked ${blocked}, ${backfill.length} backfill gaps pending`,
       );
     }
 
     resetInterval();
   } catch (error) {
-    console.error("[Conversations] Bluesky poll error:", error.message);
-
-    await stateCollection.findOneAndUpdate(
-      { _id: "poll_cursors" },
-      {
-        $set: {
-          bluesky_last_poll: new Date().toISOString(),
-          bluesky_last_error: error.message,
-        },
-      },
-      { upsert: true },
+    console.error(
+      `[Conversations] Bluesky (${credentials.name}) poll error:`,
+      error.message,
     );
 
+    await updateAccountState(stateCollection, credentials, {
+      last_poll: new Date().toISOString(),
+      last_error: error.message,
+    });
+
     if (error.status === 429 || error.status === 401) {
       backoff();
     }
@@ -692,14 +1079,7 @@ async function pollActivityPub(indiekit, stateCollection, state) {
     if (!ap_activities) return;
 
     // Resolve the site URL so we only store interactions about OUR content.
-    // indiekit may be the Indiekit class (from startPolling) or the
-    // application object (from triggerPoll via controller).
-    const siteUrl = (
-      indiekit.publication?.me ||
-      indiekit.url ||
-      process.env.PUBLICATION_URL ||
-      ""
-    ).replace(/\/$/, "");
+    const siteUrl = resolveSiteUrl(indiekit);
 
     // NodeInfo cache collection for resolving server software per domain
     const nodeinfoCache = indiekit.collections?.get("nodeinfo_cache") || null;
@@ -711,31 +1091,112 @@ async function pollActivityPub(indiekit, stateCollection, state) {
       since: state.activitypub_last_received_at || null,
     });
 
+    const blocklist = await loadBlocklist(indiekit);
     let stored = 0;
     let skipped = 0;
+    let blocked = 0;
+    let retracted = 0;
+    let edited = 0;
 
     for (const interaction of result.items) {
-      if (!interaction.canonical_url) continue;
+      if (interaction.action) {
+        // Undo, Delete or Update of an interaction stored earlier, matched
+        // by platform ID (also when merged into another channel's record)
+        const query = {
+          $or: [
+            { platform_id: { $in: interaction.platform_ids } },
+            { platform_ids: { $in: interaction.platform_ids } },
+            ...(interaction.platform_id_prefixes || []).map((prefix) => ({
+              platform_ids: {
+                $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`,
+              },
+            })),
+          ],
+        };
+        if (interaction.action === "update") {
+          edited += await updateConversationItems(indiekit, query, {
+            content: interaction.content,
+            summary: interaction.summary,
+            sensitive: interaction.sensitive,
+            media: interaction.media,
+            emojis: interaction.emojis,
+            edited_at: interaction.edited_at,
+          });
+        } else {
+          retracted += await tombstoneConversationItems(
+            indiekit,
+            query,
+            interaction.action === "undo" ? "undone" : "deleted",
+            "activitypub_inbox",
+          );
+        }
+        continue;
+      }
+
+      let canonicalUrl = interaction.canonical_url;
+      let type = interaction.type;
+
+      // A note that isn't a reply to us — a quote of our post or of its
+      // syndicated copy, a note linking to it, or a reply in someone
+      // else's thread that links to it — is stored as a mention. Only
+      // public and unlisted notes: a direct or followers-only note, or
+      // one whose addressing wasn't recorded, is never republished.
+      const onSite =
+        canonicalUrl && (!siteUrl || isSiteUrl(canonicalUrl, siteUrl));
+      if (
+        !onSite &&
+        interaction.linked_urls &&
+        ["public", "unlisted"].includes(interaction.visibility)
+      ) {
+        const links = [interaction.quoted_url, ...interaction.linked_urls];
+        const linked = await findLinkedPost(
+          indiekit,
+          links.filter(Boolean),
+          siteUrl,
+        );
+        if (linked) {
+          canonicalUrl = linked;
+          type = "mention";
+        }
+      }
+
+      if (!canonicalUrl) continue;
 
       // Only store interactions targeting our own content — skip activities
       // about posts on other domains (e.g. forwarded via shared inbox).
-      if (siteUrl && !interaction.canonical_url.startsWith(siteUrl)) {
+      if (siteUrl && !isSiteUrl(canonicalUrl, siteUrl)) {
         skipped++;
         continue;
       }
 
-      await upsertConversationItem(indiekit, {
-        canonical_url: interaction.canonical_url,
+      const item = {
+        canonical_url: canonicalUrl,
         source: interaction.platform,
         channel: "activitypub_inbox",
-        type: interaction.type,
+        type,
         author: interaction.author,
         content: interaction.content,
         url: interaction.url,
         bridgy_url: null,
         platform_id: interaction.platform_id,
         created_at: interaction.created_at,
-      });
+      };
+      if (interaction.reaction) item.reaction = interaction.reaction;
+      if (type === "reply" && interaction.in_reply_to) {
+        item.in_reply_to = interaction.in_reply_to;
+      }
+      // Replies carry their content warning, media and custom emoji
+      if (interaction.media) {
+        item.summary = interaction.summary;
+        item.sensitive = interaction.sensitive;
+        item.media = interaction.media;
+        item.emojis = interaction.emojis;
+      }
+      if (blocklist.isBlocked(item)) {
+        blocked++;
+        continue;
+      }
+      await upsertConversationItem(indiekit, item);
       stored++;
     }
 
@@ -754,9 +1215,9 @@ async function pollActivityPub(indiekit, stateCollection, state) {
       { upsert: true },
     );
 
-    if (stored > 0 || skipped > 0) {
+    if (stored > 0 || skipped > 0 || blocked > 0 || retracted > 0 || edited > 0) {
       console.info(
-        `[Conversations] ActivityPub: stored ${stored}, skipped ${skipped} (not our content) of ${result.items.length} interactions`,
+        `[Conversations] ActivityPub: stored ${stored}, skipped ${skipped} (not our content), blocked ${blocked}, retracted ${retracted}, updated ${edited} of ${result.items.length} activities`,
       );
     }
   } catch (error) {
@@ -775,6 +1236,22 @@ async function pollActivityPub(indiekit, stateCollection, state) {
   }
 }
 
+/**
+ * Resolve the site URL without a trailing slash
+ * indiekit may be the Indiekit class (from startPolling) or the
+ * application object (from triggerPoll via controller).
+ * @param {object} indiekit - Indiekit instance or application
+ * @returns {string} Site URL ("" if unknown)
+ */
+function resolveSiteUrl(indiekit) {
+  return (
+    indiekit.publication?.me ||
+    indiekit.url ||
+    process.env.PUBLICATION_URL ||
+    ""
+  ).replace(/\/$/, "");
+}
+
 /**
  * Resolve a Mastodon status ID to its URL
  * Used to find the parent status of a mention/reply
@@ -0,0 +1,548 @@
+/**
+ * Reply thread crawling
+ * Notifications only cover replies that mention our account. For every
+ * status we syndicated to Mastodon, the status context API is crawled
+ * periodically so replies to replies, and replies that dropped the
+ * mention, are stored too. Posts syndicated to Bluesky are crawled the
+ * same way with getPostThread. Crawl state lives in conversation_state
+ * (one document per syndicated post, crawled with the account that found
+ * it); recently active threads are crawled more often than old ones.
+ * @module polling/thread-crawl
+ */
+
+import { loadBlocklist } from "../moderation/blocklist.js";
+import { upsertConversationItem } from "../storage/conversation-items.js";
+import { updateAccountState } from "./accounts.js";
+
+const DISCOVERY_INTERVAL = 60 * 60 * 1000; // 1 hour
+const CRAWLS_PER_CYCLE = 10;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const FAILURE_BACKOFF = 15 * 60 * 1000; // Doubles with each failed crawl
+
+/**
+ * Crawl interval for a thread, by time since its last activity
+ * @param {string} lastActivityAt - ISO date of the newest reply (or the post)
+ * @returns {number} Interval in ms
+ */
+export function crawlInterval(lastActivityAt) {
+  const age = Date.now() - new Date(lastActivityAt || 0).getTime();
+  if (age < DAY) return 15 * 60 * 1000;
+  if (age < 7 * DAY) return 2 * HOUR;
+  if (age < 30 * DAY) return 12 * HOUR;
+  return 7 * DAY;
+}
+
+/**
+ * Extract the local status ID from a status URL on the given instance
+ * @param {string} statusUrl - Syndication URL
+ * @param {string} instanceUrl - Mastodon instance URL
+ * @returns {string|null} Status ID
+ */
+export function mastodonStatusId(statusUrl, instanceUrl) {
+  try {
+    const url = new URL(statusUrl);
+    if (url.host !== new URL(instanceUrl).host) return null;
+    const match = url.pathname.match(
+      /^\/(?:@[^/]+|users\/[^/]+\/statuses)\/(\d+)\/?$/,
+    );
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Crawl due Mastodon reply threads for one account
+ * @param {object} indiekit - Indiekit instance (has .collections)
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} state - Account state
+ * @param {object} credentials - Mastodon account (id, url, accessToken)
+ */
+export async function crawlMastodonThreads(
+  indiekit,
+  stateCollection,
+  state,
+  credentials,
+) {
+  try {
+    await discoverMastodonThreads(indiekit, stateCollection, state, credentials);
+
+    const due = await findDueThreads(stateCollection, "mastodon", credentials);
+    if (due.length === 0) return;
+
+    const { fetchMastodonAccount, fetchMastodonContext } = await import(
+      "../notifications/mastodon.js"
+    );
+    const account = await fetchMastodonAccount(credentials);
+    const blocklist = await loadBlocklist(indiekit);
+    let stored = 0;
+
+    for (const thread of due) {
+      let replies;
+      try {
+        replies = await fetchMastodonContext({
+          ...credentials,
+          statusId: thread.status_id,
+        });
+      } catch (error) {
+        if (error.status === 404) {
+          // Our syndicated status was deleted — stop crawling it
+          await markThreadGone(stateCollection, thread);
+          continue;
+        }
+        if (error.status === 429) break;
+        // One broken thread must not hold up the others
+        await markThreadFailed(stateCollection, thread, error);
+        continue;
+      }
+
+      // Map status IDs to URLs so each reply keeps its parent
+      const urls = new Map([[thread.status_id, thread.status_url]]);
+      for (const reply of replies) urls.set(reply.id, reply.url);
+
+      let lastActivityAt = thread.last_activity_at;
+      for (const reply of replies) {
+        if (reply.created_at > (lastActivityAt || "")) {
+          lastActivityAt = reply.created_at;
+        }
+
+        // Our own replies are served from the posts collection
+        if (reply.account_id === account.id) continue;
+
+        const item = {
+          canonical_url: thread.canonical_url,
+          source: "mastodon",
+          channel: "mastodon_api",
+          account: credentials.id,
+          type: "reply",
+          author: reply.author,
+          content: reply.content,
+          summary: reply.summary,
+          sensitive: reply.sensitive,
+          media: reply.media,
+          emojis: reply.emojis,
+          url: reply.url,
+          bridgy_url: null,
+          platform_id: `mastodon:status:${reply.id}`,
+          status_id: reply.id,
+          created_at: reply.created_at,
+          in_reply_to: urls.get(reply.in_reply_to_id) || thread.status_url,
+        };
+        if (blocklist.isBlocked(item)) continue;
+
+        await upsertConversationItem(indiekit, item);
+        stored++;
+      }
+
+      await scheduleNextCrawl(
+        stateCollection,
+        thread,
+        lastActivityAt,
+        replies.length,
+      );
+    }
+
+    if (stored > 0) {
+      console.info(
+        `[Conversations] Mastodon (${credentials.name}) threads: crawled ${due.length}, stored ${stored} replies`,
+      );
+    }
+  } catch (error) {
+    console.error(
+      `[Conversations] Mastodon (${credentials.name}) thread crawl error:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Register crawl state for syndicated statuses not seen before
+ * Runs at most once an hour; existing threads keep their schedule.
+ * Several accounts on one instance find the same statuses; the first
+ * one to find a status crawls it.
+ * @param {object} indiekit - Indiekit instance
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} state - Account state
+ * @param {object} credentials - Mastodon account (id, url, accessToken)
+ */
+async function discoverMastodonThreads(
+  indiekit,
+  stateCollection,
+  state,
+  credentials,
+) {
+  const lastDiscovery = new Date(state.thread_discovery_at || 0);
+  if (Date.now() - lastDiscovery.getTime() < DISCOVERY_INTERVAL) return;
+
+  const posts = indiekit.collections.get("posts");
+  if (!posts) return;
+
+  const { host, origin } = new URL(credentials.url);
+  const escaped = origin.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const cursor = posts
+    .find({ "properties.syndication": { $regex: `^${escaped}/` } })
+    .project({
+      "properties.url": 1,
+      "properties.syndication": 1,
+      "properties.published": 1,
+    });
+
+  // Newly found threads share one due time, so the most recently
+  // active ones are crawled first
+  const now = new Date().toISOString();
+  let added = 0;
+  for await (const post of cursor) {
+    const canonicalUrl = post.properties?.url?.replace(/\/$/, "");
+    if (!canonicalUrl) continue;
+
+    for (const url of [post.properties.syndication].flat()) {
+      const statusId = mastodonStatusId(url, origin);
+      if (!statusId) continue;
+
+      const registered = await registerThread(
+        stateCollection,
+        `thread_crawl:mastodon:${host}:${statusId}`,
+        {
+          platform: "mastodon",
+          account: credentials.id,
+          status_id: statusId,
+          status_url: url,
+          canonical_url: canonicalUrl,
+          last_activity_at: post.properties.published || null,
+          next_crawl_at: now,
+        },
+      );
+      if (registered) added++;
+    }
+  }
+
+  await updateAccountState(stateCollection, credentials, {
+    thread_discovery_at: now,
+  });
+
+  if (added > 0) {
+    console.info(
+      `[Conversations] Mastodon (${credentials.name}) threads: tracking ${added} new statuses`,
+    );
+  }
+}
+
+/**
+ * Crawl due Bluesky reply threads for one account
+ * Each reply keeps the AT URI of its parent (`in_reply_to_uri`), so the
+ * tree can be rebuilt; replies hidden by blocks or deleted are skipped.
+ * @param {object} indiekit - Indiekit instance (has .collections)
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} state - Account state
+ * @param {object} credentials - Bluesky account (id, identifier, password, serviceUrl)
+ */
+export async function crawlBlueskyThreads(
+  indiekit,
+  stateCollection,
+  state,
+  credentials,
+) {
+  try {
+    const { fetchBlueskyAccount, fetchBlueskyThread } = await import(
+      "../notifications/bluesky.js"
+    );
+    const account = await fetchBlueskyAccount(credentials);
+
+    await discoverBlueskyThreads(
+      indiekit,
+      stateCollection,
+      state,
+      credentials,
+      account,
+    );
+
+    const due = await findDueThreads(stateCollection, "bluesky", credentials);
+    if (due.length === 0) return;
+
+    const blocklist = await loadBlocklist(indiekit);
+    let stored = 0;
+    let skipped = 0;
+
+    for (const thread of due) {
+      let result;
+      try {
+        result = await fetchBlueskyThread({
+          ...credentials,
+          uri: thread.post_uri,
+        });
+      } catch (error) {
+        if (error.status === 404) {
+          // Our syndicated post was deleted — stop crawling it
+          await markThreadGone(stateCollection, thread);
+          continue;
+        }
+        if (error.status === 429) break;
+        await markThreadFailed(stateCollection, thread, error);
+        continue;
+      }
+      skipped += result.skipped;
+
+      let lastActivityAt = thread.last_activity_at;
+      for (const reply of result.replies) {
+        if (reply.created_at > (lastActivityAt || "")) {
+          lastActivityAt = reply.created_at;
+        }
+
+        // Our own replies are served from the posts collection
+        if (reply.author_did === account.did) continue;
+
+        const item = {
+          canonical_url: thread.canonical_url,
+          source: "bluesky",
+          channel: "bluesky_api",
+          account: credentials.id,
+          type: "reply",
+          author: reply.author,
+          author_did: reply.author_did,
+          content: reply.content,
+          media: reply.media,
+          link_card: reply.link_card,
+          url: reply.url,
+          bridgy_url: null,
+          platform_id: `bluesky:${reply.uri}`,
+          created_at: reply.created_at,
+          at_uri: reply.uri,
+          in_reply_to: reply.parent_url,
+          in_reply_to_uri: reply.parent_uri,
+        };
+        if (blocklist.isBlocked(item)) continue;
+
+        await upsertConversationItem(indiekit, item);
+        stored++;
+      }
+
+      await scheduleNextCrawl(
+        stateCollection,
+        thread,
+        lastActivityAt,
+        result.replies.length,
+      );
+    }
+
+    if (stored > 0) {
+      console.info(
+        `[Conversations] Bluesky (${credentials.name}) threads: crawled ${due.length}, stored ${stored} replies, skipped ${skipped} blocked or deleted`,
+      );
+    }
+  } catch (error) {
+    console.error(
+      `[Conversations] Bluesky (${credentials.name}) thread crawl error:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Register crawl state for posts syndicated to this Bluesky account
+ * Runs at most once an hour. Syndication URLs may name the profile by
+ * DID, by the current handle or by an earlier handle; other handles are
+ * resolved to see whether they belong to this account.
+ * @param {object} indiekit - Indiekit instance
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} state - Account state
+ * @param {object} credentials - Bluesky account
+ * @param {object} account - { did, handle } of the logged in account
+ */
+async function discoverBlueskyThreads(
+  indiekit,
+  stateCollection,
+  state,
+  credentials,
+  account,
+) {
+  const lastDiscovery = new Date(state.thread_discovery_at || 0);
+  if (Date.now() - lastDiscovery.getTime() < DISCOVERY_INTERVAL) return;
+
+  const posts = indiekit.collections.get("posts");
+  if (!posts) return;
+
+  const { resolveBlueskyHandle } = await import("../notifications/bluesky.js");
+  const dids = new Map([
+    [account.did, account.did],
+    [account.handle?.toLowerCase(), account.did],
+  ]);
+
+  const cursor = posts
+    .find({
+      "properties.syndication": { $regex: "^https://bsky\\.app/profile/" },
+    })
+    .project({
+      "properties.url": 1,
+      "properties.syndication": 1,
+      "properties.published": 1,
+    });
+
+  const now = new Date().toISOString();
+  let added = 0;
+  for await (const post of cursor) {
+    const canonicalUrl = post.properties?.url?.replace(/\/$/, "");
+    if (!canonicalUrl) continue;
+
+    for (const url of [post.properties.syndication].flat()) {
+      const match = String(url).match(
+        /^https:\/\/bsky\.app\/profile\/([^/]+)\/post\/([^/?#]+)/,
+      );
+      if (!match) continue;
+
+      const profile = match[1].toLowerCase();
+      if (!dids.has(profile)) {
+        const did = profile.startsWith("did:")
+          ? profile
+          : await resolveBlueskyHandle(credentials, profile).catch(() => null);
+        dids.set(profile, did);
+      }
+      if (dids.get(profile) !== account.did) continue;
+
+      const registered = await registerThread(
+        stateCollection,
+        `thread_crawl:bluesky:${account.did}:${match[2]}`,
+        {
+          platform: "bluesky",
+          account: credentials.id,
+          post_uri: `at://${account.did}/app.bsky.feed.post/${match[2]}`,
+          status_url: url,
+          canonical_url: canonicalUrl,
+          last_activity_at: post.properties.published || null,
+          next_crawl_at: now,
+        },
+      );
+      if (registered) added++;
+    }
+  }
+
+  await updateAccountState(stateCollection, credentials, {
+    thread_discovery_at: now,
+  });
+
+  if (added > 0) {
+    console.info(
+      `[Conversations] Bluesky (${credentials.name}) threads: tracking ${added} new posts`,
+    );
+  }
+}
+
+/**
+ * Threads of one account that are due for a crawl, most urgent first
+ * @param {object} stateCollection - conversation_state collection
+ * @param {string} platform - "mastodon" or "bluesky"
+ * @param {object} credentials - Account
+ * @returns {Promise<Array>} Thread crawl documents
+ */
+function findDueThreads(stateCollection, platform, credentials) {
+  return stateCollection
+    .find({
+      kind: "thread_crawl",
+      platform,
+      account: credentials.id,
+      gone: { $ne: true },
+      next_crawl_at: { $lte: new Date().toISOString() },
+    })
+    .sort({ next_crawl_at: 1, last_activity_at: -1 })
+    .limit(CRAWLS_PER_CYCLE)
+    .toArray();
+}
+
+/**
+ * Add crawl state for a thread unless it is already tracked
+ * @param {object} stateCollection - conversation_state collection
+ * @param {string} id - Document ID
+ * @param {object} fields - Initial crawl state
+ * @returns {Promise<boolean>} True if the thread is new
+ */
+async function registerThread(stateCollection, id, fields) {
+  const result = await stateCollection.updateOne(
+    { _id: id },
+    { $setOnInsert: { kind: "thread_crawl", ...fields } },
+    { upsert: true },
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Record a crawl and schedule the next one by thread activity
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} thread - Thread crawl document
+ * @param {string} lastActivityAt - ISO date of the newest reply (or the post)
+ * @param {number} replyCount - Replies found
+ */
+async function scheduleNextCrawl(
+  stateCollection,
+  thread,
+  lastActivityAt,
+  replyCount,
+) {
+  const now = new Date();
+  await stateCollection.updateOne(
+    { _id: thread._id },
+    {
+      $set: {
+        last_crawled_at: now.toISOString(),
+        last_activity_at: lastActivityAt,
+        reply_count: replyCount,
+        next_crawl_at: new Date(
+          now.getTime() + crawlInterval(lastActivityAt),
+        ).toISOString(),
+        last_error: null,
+        failed_crawls: 0,
+      },
+    },
+  );
+}
+
+/**
+ * Record a failed crawl and retry the thread later
+ * The delay doubles with each consecutive failure, up to the interval
+ * of a thread without activity.
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} thread - Thread crawl document
+ * @param {Error} error - Crawl error
+ */
+async function markThreadFailed(stateCollection, thread, error) {
+  const now = new Date();
+  const failedCrawls = (thread.failed_crawls || 0) + 1;
+  const delay = Math.min(FAILURE_BACKOFF * 2 ** (failedCrawls - 1), 7 * DAY);
+
+  await stateCollection.updateOne(
+    { _id: thread._id },
+    {
+      $set: {
+        last_crawled_at: now.toISOString(),
+        last_error: error.message,
+        failed_crawls: failedCrawls,
+        next_crawl_at: new Date(now.getTime() + delay).toISOString(),
+      },
+    },
+  );
+}
+
+/**
+ * Stop crawling a thread whose post was deleted
+ * @param {object} stateCollection - conversation_state collection
+ * @param {object} thread - Thread crawl document
+ */
+async function markThreadGone(stateCollection, thread) {
+  await stateCollection.updateOne(
+    { _id: thread._id },
+    { $set: { gone: true, last_crawled_at: new Date().toISOString() } },
+  );
+}
+
+/**
+ * Crawl a post's threads soon because it just received a reply
+ * @param {object} stateCollection - conversation_state collection
+ * @param {string} canonicalUrl - Canonical post URL
+ */
+export async function markThreadActive(stateCollection, canonicalUrl) {
+  const now = new Date().toISOString();
+  await stateCollection.updateMany(
+    { kind: "thread_crawl", canonical_url: canonicalUrl, gone: { $ne: true } },
+    { $set: { last_activity_at: now, next_crawl_at: now } },
+  );
+}
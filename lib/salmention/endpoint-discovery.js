@@ -0,0 +1,122 @@
+/**
+ * Webmention endpoint discovery
+ * Finds the Webmention endpoint of a target page as described in the
+ * W3C Webmention spec: the HTTP Link header first, then the first
+ * <link> or <a> element with rel="webmention" in document order.
+ * @module salmention/endpoint-discovery
+ */
+
+/**
+ * Discover the Webmention endpoint of a fetched target page
+ * @param {object} fetched - Result of fetchSource (link, contentType, body, url)
+ * @returns {string|null} Absolute endpoint URL, or null if none is advertised
+ */
+export function discoverEndpoint(fetched) {
+  const base = fetched.url;
+
+  const fromHeader = endpointFromLinkHeader(fetched.link);
+  if (fromHeader !== null) return resolveEndpoint(fromHeader, base);
+
+  if (fetched.contentType && !fetched.contentType.includes("html")) {
+    return null;
+  }
+
+  const fromBody = endpointFromHtml(fetched.body);
+  if (fromBody !== null) return resolveEndpoint(fromBody, base);
+
+  return null;
+}
+
+/**
+ * Find a rel="webmention" URL in an HTTP Link header
+ * @param {string} header - Link header value
+ * @returns {string|null} Raw URL reference
+ */
+export function endpointFromLinkHeader(header) {
+  if (!header) return null;
+
+  for (const match of header.matchAll(/<([^>]*)>([^,<]*)/g)) {
+    const rel = match[2].match(/rel\s*=\s*(?:"([^"]*)"|([^\s;]+))/i);
+    if (rel && hasWebmentionRel(rel[1] ?? rel[2])) return match[1];
+  }
+
+  return null;
+}
+
+/**
+ * Find the first <link> or <a> with rel="webmention" in an HTML document
+ * Comments are skipped so commented-out endpoints are not picked up.
+ * An empty href is valid and means the page itself.
+ * @param {string} html - Document body
+ * @returns {string|null} Raw URL reference
+ */
+export function endpointFromHtml(html) {
+  if (!html) return null;
+
+  const markup = html.replace(/<!--[\s\S]*?-->/g, "");
+
+  for (const tag of markup.matchAll(/<(?:link|a)\s[^>]*>/gi)) {
+    const attributes = parseAttributes(tag[0]);
+    if (hasWebmentionRel(attributes.rel) && attributes.href !== undefined) {
+      return attributes.href;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} rel - Space-separated rel values
+ * @returns {boolean} True if the list contains "webmention"
+ */
+function hasWebmentionRel(rel) {
+  return (rel || "").toLowerCase().split(/\s+/).includes("webmention");
+}
+
+/**
+ * Parse the attributes of a single HTML start tag
+ * @param {string} tag - Start tag markup
+ * @returns {object} Map of lower-case attribute name -> value
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /\s([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+
+  for (const match of tag.matchAll(pattern)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Resolve an endpoint reference against the target URL
+ * Only http(s) endpoints are accepted.
+ * @param {string} reference - URL reference from the header or document
+ * @param {string} base - Final target URL (after redirects)
+ * @returns {string|null} Absolute endpoint URL
+ */
+function resolveEndpoint(reference, base) {
+  try {
+    const url = new URL(reference.trim(), base);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode the HTML entities that commonly appear in URLs
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value
+    .replaceAll("&amp;", "&")
+    .replaceAll("&#38;", "&")
+    .replaceAll("&quot;", "\"")
+    .replaceAll("&#39;", "'");
+}
@@ -0,0 +1,331 @@
+/**
+ * Salmention propagation
+ * When a new reply to or mention of one of our posts is stored, the
+ * post is re-sent as a webmention to the earlier IndieWeb replies and
+ * mentions of it, so their authors' sites can pick up the new response.
+ * Deliveries are queued in conversation_salmentions, one entry per
+ * source/target pair, and retried with backoff.
+ * @module salmention/salmention
+ */
+
+import crypto from "node:crypto";
+
+import {
+  assertPublicUrl,
+  fetchSource,
+} from "../ingestion/source-fetcher.js";
+import { liveItemsQuery } from "../storage/conversation-items.js";
+import { discoverEndpoint } from "./endpoint-discovery.js";
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+const SEND_TIMEOUT_MS = 10_000;
+
+// Channels whose responses live on IndieWeb sites that accept webmentions
+const targetChannels = ["webhook", "webmention"];
+
+// Responses that change the thread; likes, reposts and reactions don't
+// warrant a round of webmentions to every earlier responder
+const responseTypes = ["reply", "mention"];
+
+// Guard against overlapping queue runs (request-triggered + poll cycle)
+let processing = false;
+
+/**
+ * Get the conversation_salmentions collection
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get("conversation_salmentions");
+}
+
+/**
+ * Check whether Salmention sending is enabled
+ * application may be the Indiekit instance (scheduler) or the
+ * application object (controllers).
+ * @param {object} application - Indiekit application or instance
+ * @returns {boolean}
+ */
+export function isSalmentionEnabled(application) {
+  const config =
+    application.config?.application?.conversations ||
+    application.conversations ||
+    {};
+  return config.salmention === true;
+}
+
+/**
+ * Queue Salmentions for a newly stored reply or mention
+ * Targets are the URLs of earlier live replies and mentions of the same
+ * post that arrived as webmentions from the open web (Bridgy copies of
+ * silo posts are skipped). A target that already has a delivery pending
+ * is not queued twice, so a burst of new responses becomes one send.
+ * @param {object} application - Indiekit application
+ * @param {object} item - The stored conversation item
+ * @returns {Promise<number>} Number of queued deliveries
+ */
+export async function queueSalmentions(application, item) {
+  if (!isSalmentionEnabled(application)) return 0;
+  if (!responseTypes.includes(item.type)) return 0;
+  if (item.moderation_status === "pending") return 0;
+  if (item.channel === "webmention_io_import") return 0;
+
+  const collection = getCollection(application);
+  const items = application.collections.get("conversation_items");
+  if (!collection || !items || !item.canonical_url) return 0;
+
+  const responses = await items
+    .find(
+      liveItemsQuery({
+        canonical_url: item.canonical_url,
+        channel: { $in: targetChannels },
+        type: { $in: responseTypes },
+        bridgy_url: null,
+        _id: { $ne: item._id },
+      }),
+    )
+    .project({ url: 1 })
+    .toArray();
+
+  const targets = new Set(
+    responses
+      .map((response) => response.url)
+      .filter((url) => /^https?:\/\//.test(url || "") && url !== item.url),
+  );
+
+  const now = new Date().toISOString();
+  let queued = 0;
+
+  for (const target of targets) {
+    const entry = await collection.findOne({
+      source: item.canonical_url,
+      target,
+    });
+    if (entry?.status === "pending") continue;
+
+    await collection.updateOne(
+      { source: item.canonical_url, target },
+      {
+        $set: {
+          status: "pending",
+          attempts: 0,
+          error: null,
+          trigger: item.platform_id,
+          next_attempt_at: now,
+          updated_at: now,
+        },
+        $setOnInsert: {
+          _id: crypto.randomUUID(),
+          queued_at: now,
+        },
+      },
+      { upsert: true },
+    );
+    queued++;
+  }
+
+  if (queued > 0) {
+    console.info(
+      `[Conversations] Salmention: queued ${queued} deliveries for ${item.canonical_url}`,
+    );
+  }
+
+  return queued;
+}
+
+/**
+ * Send due Salmentions
+ * Called right after new deliveries are queued and again on every poll
+ * cycle, which picks up retries and entries left over from a restart.
+ * @param {object} application - Indiekit application (has .collections)
+ */
+export async function processSalmentionQueue(application) {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const collection = getCollection(application);
+    if (!collection) return;
+
+    const due = await collection
+      .find({
+        status: "pending",
+        next_attempt_at: { $lte: new Date().toISOString() },
+      })
+      .sort({ next_attempt_at: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    for (const entry of due) {
+      await deliverSalmention(application, entry);
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Discover the target's endpoint and send one webmention
+ * Network errors, 429 and 5xx responses are retried; a target without
+ * an endpoint or an endpoint answering 4xx is final.
+ * @param {object} application - Indiekit application
+ * @param {object} entry - Queue entry from conversation_salmentions
+ */
+async function deliverSalmention(application, entry) {
+  const collection = getCollection(application);
+  const attempts = (entry.attempts || 0) + 1;
+
+  let endpoint = null;
+  try {
+    const fetched = await fetchSource(entry.target);
+    if (!fetched.ok) {
+      const retry = fetched.status === 429 || fetched.status >= 500;
+      await recordAttempt(collection, entry, attempts, {
+        status: retry ? "pending" : "failed",
+        error: `Target returned HTTP ${fetched.status}`,
+      });
+      return;
+    }
+
+    endpoint = discoverEndpoint(fetched);
+    if (!endpoint) {
+      await recordAttempt(collection, entry, attempts, {
+        status: "no_endpoint",
+        error: null,
+      });
+      return;
+    }
+
+    // The endpoint is named by the target, so it gets the same guard
+    await assertPublicUrl(endpoint);
+    const response = await fetch(endpoint, {
+      method: "POST",
+      redirect: "manual",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "User-Agent": "IndieKit-Conversations/1.0 (Salmention)",
+      },
+      body: new URLSearchParams({
+        source: entry.source,
+        target: entry.target,
+      }).toString(),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+
+    if (response.ok) {
+      await recordAttempt(collection, entry, attempts, {
+        status: "sent",
+        endpoint,
+        response_status: response.status,
+        location: response.headers.get("location") || null,
+        sent_at: new Date().toISOString(),
+        error: null,
+      });
+      return;
+    }
+
+    const retry = response.status === 429 || response.status >= 500;
+    await recordAttempt(collection, entry, attempts, {
+      status: retry ? "pending" : "failed",
+      endpoint,
+      response_status: response.status,
+      error: `Endpoint returned HTTP ${response.status}`,
+    });
+  } catch (error) {
+    // Network error or timeout — retry on a later run. Private
+    // addresses won't become public, so those are final.
+    await recordAttempt(collection, entry, attempts, {
+      status: error.code === "unsafe_url" ? "failed" : "pending",
+      endpoint,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * A retryable outcome past the last attempt becomes "failed"; otherwise
+ * the next attempt is scheduled with exponential backoff.
+ * @param {object} collection - conversation_salmentions collection
+ * @param {object} entry - Queue entry
+ * @param {number} attempts - Attempt count including this one
+ * @param {object} fields - Outcome fields (status, error, ...)
+ */
+async function recordAttempt(collection, entry, attempts, fields) {
+  const now = Date.now();
+  const update = {
+    ...fields,
+    attempts,
+    updated_at: new Date(now).toISOString(),
+  };
+
+  if (fields.status === "pending") {
+    if (attempts >= MAX_ATTEMPTS) {
+      update.status = "failed";
+    } else {
+      const delay = RETRY_BASE_MS * 4 ** (attempts - 1);
+      update.next_attempt_at = new Date(now + delay).toISOString();
+    }
+  }
+
+  await collection.updateOne({ _id: entry._id }, { $set: update });
+
+  if (update.status === "failed") {
+    console.warn(
+      `[Conversations] Salmention to ${entry.target} failed: ${update.error}`,
+    );
+  }
+}
+
+/**
+ * Count Salmention deliveries by status
+ * @param {object} application - Indiekit application
+ * @returns {Promise<object>} Map of status -> count
+ */
+export async function getSalmentionCounts(application) {
+  const collection = getCollection(application);
+  if (!collection) return {};
+
+  const counts = await collection
+    .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+    .toArray();
+
+  const result = {};
+  for (const c of counts) {
+    result[c._id] = c.count;
+  }
+  return result;
+}
+
+/**
+ * Most recently updated Salmention deliveries
+ * @param {object} application - Indiekit application
+ * @param {number} [limit] - Max entries (default 10)
+ * @returns {Promise<Array>} Queue entries
+ */
+export async function getRecentSalmentions(application, limit = 10) {
+  const collection = getCollection(application);
+  if (!collection) return [];
+
+  return collection.find({}).sort({ updated_at: -1 }).limit(limit).toArray();
+}
+
+/**
+ * Create indexes for the Salmention queue
+ * @param {object} application - Indiekit application
+ */
+export async function createSalmentionIndexes(application) {
+  const collection = getCollection(application);
+
+  await collection.createIndex(
+    { source: 1, target: 1 },
+    { name: "source_target", unique: true },
+  );
+
+  await collection.createIndex(
+    { status: 1, next_attempt_at: 1 },
+    { name: "status_queue" },
+  );
+}
@@ -4,6 +4,16 @@
  * @module storage/conversation-items
  */
 
+import {
+  generateIdentityKey,
+  isPreferredChannel,
+} from "../matching/identity.js";
+import { initialModerationStatus } from "../moderation/moderation.js";
+import {
+  processSalmentionQueue,
+  queueSalmentions,
+} from "../salmention/salmention.js";
+
 /**
  * Get the conversation_items collection
  * @param {object} application - Indiekit application
@@ -13,20 +23,98 @@ function getCollection(application) {
   return application.collections.get("conversation_items");
 }
 
+/**
+ * Add the filter for items that may be served publicly
+ * Tombstoned items (retracted webmentions, deleted sources) are kept
+ * for bookkeeping but never served, and neither are items waiting in
+ * (or rejected by) moderation. Items stored before moderation existed
+ * have no moderation_status and count as approved.
+ * @param {object} [query] - Base MongoDB query
+ * @returns {object} Query restricted to live items
+ */
+export function liveItemsQuery(query = {}) {
+  return {
+    ...query,
+    deleted_at: null,
+    moderation_status: { $nin: ["pending", "rejected"] },
+  };
+}
+
 /**
  * Upsert a conversation item (insert or update, dedup by platform_id)
+ * An item describing an interaction already stored from another channel
+ * (same identity key) is merged into that record instead: its platform_id
+ * joins `platform_ids` and its channel is added to `provenance`.
+ * A tombstoned item only comes back when the channel that tombstoned it
+ * sends it again (e.g. a source that links to the target again after
+ * the link was removed); copies from any other channel are dropped. A
+ * newly inserted reply or mention triggers Salmentions to earlier
+ * responses when enabled.
  * @param {object} application - Indiekit application
  * @param {object} item - Conversation item data
  * @returns {Promise<object>} Upserted item
  */
 export async function upsertConversationItem(application, item) {
+  try {
+    return await storeConversationItem(application, item);
+  } catch (error) {
+    // Stored at the same moment by another caller (e.g. the Mastodon
+    // stream and a poll): dedup_index rejects the second insert, and
+    // storing again finds and updates the first one
+    if (error.code !== 11000) throw error;
+    return storeConversationItem(application, item);
+  }
+}
+
+/**
+ * Store a conversation item (see upsertConversationItem)
+ * @param {object} application - Indiekit application
+ * @param {object} item - Conversation item data
+ * @returns {Promise<object>} Upserted item
+ */
+async function storeConversationItem(application, item) {
   const collection = getCollection(application);
+  const now = new Date().toISOString();
 
   // Normalize canonical_url — strip trailing slash for consistent deduplication
   if (item.canonical_url) {
     item.canonical_url = item.canonical_url.replace(/\/$/, "");
   }
 
+  // received_at is only set on insert; imports may supply the original time
+  const { received_at: receivedAt, ...fields } = item;
+  fields.identity_key = generateIdentityKey(item);
+
+  const clauses = [
+    { platform_id: item.platform_id },
+    { platform_ids: item.platform_id },
+  ];
+  if (fields.identity_key) clauses.push({ identity_key: fields.identity_key });
+
+  const matches = await collection
+    .find({ canonical_url: item.canonical_url, $or: clauses })
+    .limit(5)
+    .toArray();
+  const existing =
+    matches.find((match) => match.platform_id === item.platform_id) ||
+    matches[0];
+
+  if (existing?.deleted_at && !canRestore(existing, item)) return existing;
+
+  if (existing && existing.platform_id !== item.platform_id) {
+    return mergeIntoItem(collection, existing, fields, receivedAt);
+  }
+
+  // New interactions may need moderation; callers like the import can
+  // set the status themselves
+  const onInsert = {
+    received_at: receivedAt || now,
+    provenance: [provenanceEntry(item, receivedAt || now)],
+  };
+  if (!existing && !fields.moderation_status) {
+    onInsert.moderation_status = await initialModerationStatus(application, item);
+  }
+
   const result = await collection.findOneAndUpdate(
     {
       canonical_url: item.canonical_url,
@@ -34,11 +122,17 @@ export async function upsertConversationItem(application, item) {
     },
     {
       $set: {
-        ...item,
-        updated_at: new Date().toISOString(),
+        ...fields,
+        updated_at: now,
       },
-      $setOnInsert: {
-        received_at: new Date().toISOString(),
+      $setOnInsert: onInsert,
+      $addToSet: {
+        platform_ids: item.platform_id,
+      },
+      $unset: {
+        deleted_at: "",
+        deleted_reason: "",
+        deleted_by: "",
       },
     },
     {
@@ -47,9 +141,261 @@ export async function upsertConversationItem(application, item) {
     },
   );
 
+  if (!existing && result) {
+    await propagateSalmentions(application, result);
+  }
+
   return result;
 }
 
+/**
+ * Whether an incoming copy may bring a tombstoned item back
+ * Only the channel that tombstoned the item can restore it. Items
+ * tombstoned before that was recorded count as tombstoned by their own
+ * channel.
+ * @param {object} existing - Tombstoned record
+ * @param {object} item - Incoming item
+ * @returns {boolean}
+ */
+function canRestore(existing, item) {
+  return (existing.deleted_by || existing.channel) === item.channel;
+}
+
+/**
+ * Queue Salmentions for a new item and send them in the background
+ * Failures are logged and never block storing the item.
+ * @param {object} application - Indiekit application
+ * @param {object} item - Newly inserted item
+ */
+export async function propagateSalmentions(application, item) {
+  try {
+    const queued = await queueSalmentions(application, item);
+    if (queued === 0) return;
+
+    processSalmentionQueue(application).catch((error) => {
+      console.error("[Conversations] Salmention delivery error:", error.message);
+    });
+  } catch (error) {
+    console.error("[Conversations] Salmention queue error:", error.message);
+  }
+}
+
+/**
+ * Merge an item from another channel into a stored record
+ * A preferred channel (direct platform API over bridged copies) takes
+ * over the record's fields; otherwise it only fills in missing ones.
+ * @param {object} collection - conversation_items collection
+ * @param {object} existing - Stored record
+ * @param {object} fields - Incoming item fields
+ * @param {string} [receivedAt] - Original receive time of the incoming item
+ * @returns {Promise<object>} Merged item
+ */
+async function mergeIntoItem(collection, existing, fields, receivedAt) {
+  const now = new Date().toISOString();
+  const update = {
+    $set: {
+      ...mergedFields(existing, fields),
+      updated_at: now,
+    },
+    $addToSet: {
+      platform_ids: { $each: [existing.platform_id, fields.platform_id] },
+    },
+    $unset: {
+      deleted_at: "",
+      deleted_reason: "",
+      deleted_by: "",
+    },
+  };
+
+  // Records stored before provenance existed get their own entry first
+  const provenance = existing.provenance ? [] : [provenanceEntry(existing)];
+  const known = (existing.provenance || []).some(
+    (entry) => entry.platform_id === fields.platform_id,
+  );
+  if (!known) provenance.push(provenanceEntry(fields, receivedAt || now));
+  if (provenance.length > 0) {
+    update.$push = { provenance: { $each: provenance } };
+  }
+
+  return collection.findOneAndUpdate({ _id: existing._id }, update, {
+    returnDocument: "after",
+  });
+}
+
+/**
+ * Bookkeeping fields that are never copied between records when merging
+ */
+const unmergedFields = new Set([
+  "_id",
+  "received_at",
+  "updated_at",
+  "deleted_at",
+  "deleted_reason",
+  "deleted_by",
+  "platform_ids",
+  "provenance",
+  "moderation_status",
+  "moderated_at",
+]);
+
+/**
+ * Fields to set on a stored record when merging another copy into it
+ * @param {object} existing - Stored record
+ * @param {object} incoming - Incoming item (or duplicate record)
+ * @returns {object} Fields for $set
+ */
+function mergedFields(existing, incoming) {
+  const fields = {};
+  const preferred = isPreferredChannel(incoming.channel, existing.channel);
+
+  for (const [key, value] of Object.entries(incoming)) {
+    if (unmergedFields.has(key)) continue;
+    if (isEmpty(value)) continue;
+    if (preferred || isEmpty(existing[key])) fields[key] = value;
+  }
+
+  // Bridged copies often carry an avatar the direct copy lacks
+  if (!fields.author && !existing.author?.photo && incoming.author?.photo) {
+    fields["author.photo"] = incoming.author.photo;
+  }
+
+  return fields;
+}
+
+/**
+ * Merge duplicate records of one interaction into a single record
+ * Used to clean up copies stored before identity resolution existed.
+ * The record from the preferred channel is kept; the others are folded
+ * into its platform_ids and provenance and removed.
+ * @param {object} application - Indiekit application
+ * @param {Array} items - Records sharing canonical_url and identity_key
+ * @returns {Promise<number>} Number of removed duplicates
+ */
+export async function mergeDuplicateItems(application, items) {
+  if (items.length < 2) return 0;
+
+  const collection = getCollection(application);
+  const [primary, ...duplicates] = [...items].sort((a, b) => {
+    if (isPreferredChannel(a.channel, b.channel)) return -1;
+    if (isPreferredChannel(b.channel, a.channel)) return 1;
+    return String(a.received_at).localeCompare(String(b.received_at));
+  });
+
+  const fields = {};
+  const merged = { ...primary, author: { ...primary.author } };
+  const platformIds = [...(primary.platform_ids || [primary.platform_id])];
+  const provenance = [...(primary.provenance || [provenanceEntry(primary)])];
+
+  for (const duplicate of duplicates) {
+    const gaps = mergedFields(merged, { ...duplicate, channel: null });
+    if (gaps["author.photo"]) {
+      merged.author.photo = gaps["author.photo"];
+      delete gaps["author.photo"];
+      fields.author = merged.author;
+    }
+    Object.assign(fields, gaps);
+    Object.assign(merged, gaps);
+
+    for (const id of duplicate.platform_ids || [duplicate.platform_id]) {
+      if (!platformIds.includes(id)) platformIds.push(id);
+    }
+    for (const entry of duplicate.provenance || [provenanceEntry(duplicate)]) {
+      if (!provenance.some((p) => p.platform_id === entry.platform_id)) {
+        provenance.push(entry);
+      }
+    }
+  }
+
+  fields.platform_ids = platformIds;
+  fields.provenance = provenance;
+
+  // Keep the record live if any copy of it is
+  const live = items.some((item) => !item.deleted_at);
+
+  await collection.updateOne(
+    { _id: primary._id },
+    live
+      ? { $set: fields, $unset: { deleted_at: "", deleted_reason: "" } }
+      : { $set: fields },
+  );
+  await collection.deleteMany({
+    _id: { $in: duplicates.map((duplicate) => duplicate._id) },
+  });
+
+  return duplicates.length;
+}
+
+/**
+ * Provenance entry recording one channel an interaction arrived through
+ * @param {object} item - Conversation item
+ * @param {string} [receivedAt] - When it arrived through this channel
+ * @returns {object} { channel, platform_id, url, received_at }
+ */
+export function provenanceEntry(item, receivedAt) {
+  return {
+    channel: item.channel || null,
+    platform_id: item.platform_id,
+    url: item.bridgy_url || item.url || null,
+    received_at: receivedAt || item.received_at || null,
+  };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for null, undefined and empty strings
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/**
+ * Tombstone conversation items
+ * Marks items as deleted instead of removing them, so the reason stays
+ * visible and a later re-verification by the same channel can restore
+ * them.
+ * @param {object} application - Indiekit application
+ * @param {object} query - MongoDB query selecting the items
+ * @param {string} reason - Why the items were retracted
+ * @param {string} channel - Channel that reported the retraction
+ * @returns {Promise<number>} Number of tombstoned items
+ */
+export async function tombstoneConversationItems(
+  application,
+  query,
+  reason,
+  channel,
+) {
+  const collection = getCollection(application);
+  const result = await collection.updateMany(
+    { ...query, deleted_at: null },
+    {
+      $set: {
+        deleted_at: new Date().toISOString(),
+        deleted_reason: reason,
+        deleted_by: channel,
+      },
+    },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Refresh stored items after their source was edited
+ * Tombstoned items stay tombstoned.
+ * @param {object} application - Indiekit application
+ * @param {object} query - MongoDB query selecting the items
+ * @param {object} fields - Fields to set (content, edited_at, ...)
+ * @returns {Promise<number>} Number of updated items
+ */
+export async function updateConversationItems(application, query, fields) {
+  const collection = getCollection(application);
+  const result = await collection.updateMany(
+    { ...query, deleted_at: null },
+    { $set: { ...fields, updated_at: new Date().toISOString() } },
+  );
+  return result.modifiedCount;
+}
+
 /**
  * Get conversation items for a canonical URL
  * @param {object} application - Indiekit application
@@ -66,7 +412,7 @@ export async function getConversationItems(
   options = {},
 ) {
   const collection = getCollection(application);
-  const query = {};
+  const query = liveItemsQuery();
 
   if (canonicalUrl) query.canonical_url = canonicalUrl;
   if (options.source) query.source = options.source;
@@ -82,6 +428,8 @@ export async function getConversationItems(
 
 /**
  * Get conversation summaries (posts with interaction counts)
+ * Emoji reactions are also counted per emoji, most used first, in
+ * `reaction_counts` ([{ emoji, url, count }]).
  * @param {object} application - Indiekit application
  * @param {object} [options] - Query options
  * @param {number} [options.limit] - Max posts to return
@@ -91,8 +439,9 @@ export async function getConversationItems(
 export async function getConversationSummaries(application, options = {}) {
   const collection = getCollection(application);
 
-  return collection
+  const summaries = await collection
     .aggregate([
+      { $match: liveItemsQuery() },
       {
         $group: {
           _id: "$canonical_url",
@@ -109,6 +458,14 @@ export async function getConversationSummaries(application, options = {}) {
           mentions: {
             $sum: { $cond: [{ $eq: ["$type", "mention"] }, 1, 0] },
           },
+          reactions: {
+            $sum: { $cond: [{ $eq: ["$type", "reaction"] }, 1, 0] },
+          },
+          reaction_emojis: {
+            $push: {
+              $cond: [{ $eq: ["$type", "reaction"] }, "$reaction", "$$REMOVE"],
+            },
+          },
           sources: { $addToSet: "$source" },
           last_activity: { $max: "$received_at" },
         },
@@ -118,16 +475,34 @@ export async function getConversationSummaries(application, options = {}) {
       { $limit: options.limit || 50 },
     ])
     .toArray();
+
+  return summaries.map(({ reaction_emojis: emojis, ...summary }) => {
+    const counts = new Map();
+    for (const reaction of emojis || []) {
+      if (!reaction?.emoji) continue;
+      const entry = counts.get(reaction.emoji) || {
+        emoji: reaction.emoji,
+        url: reaction.url || null,
+        count: 0,
+      };
+      entry.count++;
+      counts.set(reaction.emoji, entry);
+    }
+    return {
+      ...summary,
+      reaction_counts: [...counts.values()].sort((a, b) => b.count - a.count),
+    };
+  });
 }
 
 /**
- * Get total count of conversation items
+ * Get total count of conversation items (excluding tombstones)
  * @param {object} application - Indiekit application
  * @returns {Promise<number>} Total count
  */
 export async function getConversationCount(application) {
   const collection = getCollection(application);
-  return collection.countDocuments();
+  return collection.countDocuments(liveItemsQuery());
 }
 
 /**
@@ -169,4 +544,18 @@ export async function createIndexes(application) {
     { name: "channel_filter" },
   );
 
+  await collection.createIndex(
+    { canonical_url: 1, identity_key: 1 },
+    { name: "identity_index" },
+  );
+
+  await collection.createIndex(
+    { canonical_url: 1, platform_ids: 1 },
+    { name: "platform_ids_index" },
+  );
+
+  await collection.createIndex(
+    { moderation_status: 1, received_at: 1 },
+    { name: "moderation_queue" },
+  );
 }
@@ -13,6 +13,8 @@ const typeToWmProperty = {
   repost: "repost-of",
   bookmark: "bookmark-of",
   mention: "mention-of",
+  // Not a webmention.io value: emoji reactions (Misskey, Pleroma/Akkoma)
+  reaction: "reaction-of",
 };
 
 /**
@@ -24,7 +26,8 @@ const typeToWmProperty = {
 export function conversationItemToJf2(item) {
   const jf2 = {
     type: "entry",
-    "wm-id": `conv-${item.platform_id || item._id}`,
+    // First platform id seen, so the id stays stable when copies merge
+    "wm-id": `conv-${item.platform_ids?.[0] || item.platform_id || item._id}`,
     "wm-property": typeToWmProperty[item.type] || "mention-of",
     "wm-target": item.canonical_url,
     "wm-received": item.received_at || item.updated_at,
@@ -41,6 +44,16 @@ export function conversationItemToJf2(item) {
     "platform-id": item.platform_id,
   };
 
+  // What a reply answers: our post, its syndicated copy or another reply
+  if (item.in_reply_to) {
+    jf2["in-reply-to"] = item.in_reply_to;
+  }
+
+  // Channels the interaction arrived through, when merged from several
+  if (item.provenance?.length > 1) {
+    jf2.channels = item.provenance.map((entry) => entry.channel);
+  }
+
   if (item.content) {
     jf2.content = {};
     // If content looks like HTML (has tags), store as html
@@ -56,6 +69,44 @@ export function conversationItemToJf2(item) {
     }
   }
 
+  // Content warning: the summary is shown and the content hidden behind it
+  if (item.summary) jf2.summary = item.summary;
+  if (item.sensitive) jf2.sensitive = true;
+
+  // Attachments with alt text use the mf2 { value, alt } form
+  const media = {
+    photo: Array.isArray(item.photo) ? [...item.photo] : [],
+    video: [],
+    audio: [],
+  };
+  for (const attachment of item.media || []) {
+    media[attachment.type]?.push(
+      attachment.alt
+        ? { value: attachment.url, alt: attachment.alt }
+        : attachment.url,
+    );
+  }
+  for (const [property, values] of Object.entries(media)) {
+    if (values.length > 0) jf2[property] = values;
+  }
+
+  // Preview of an external link embedded in the post (Bluesky)
+  if (item.link_card) {
+    jf2["link-card"] = item.link_card;
+  }
+
+  // The reacting emoji; custom emoji come with their image
+  if (item.reaction) {
+    jf2.reaction = item.reaction.url
+      ? { emoji: item.reaction.emoji, url: item.reaction.url }
+      : { emoji: item.reaction.emoji };
+  }
+
+  // Custom emoji images, to replace :shortcode: in content and author name
+  if (item.emojis?.length > 0) {
+    jf2.emoji = item.emojis.map(({ shortcode, url }) => ({ shortcode, url }));
+  }
+
   return jf2;
 }
 
@@ -71,6 +122,7 @@ export function wmPropertyToType(wmProperty) {
     "repost-of": "repost",
     "bookmark-of": "bookmark",
     "mention-of": "mention",
+    "reaction-of": "reaction",
   };
   return map[wmProperty] || null;
 }
@@ -0,0 +1,110 @@
+/**
+ * HTML sanitizer
+ * Allowlist-based cleanup for HTML taken from third-party webmention
+ * sources before it is stored and republished through the JF2 API
+ * @module transforms/sanitize-html
+ */
+
+const ALLOWED_TAGS = new Set([
+  "a",
+  "abbr",
+  "b",
+  "blockquote",
+  "br",
+  "cite",
+  "code",
+  "del",
+  "em",
+  "i",
+  "img",
+  "li",
+  "ol",
+  "p",
+  "pre",
+  "q",
+  "s",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "u",
+  "ul",
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  a: new Set(["href", "title"]),
+  abbr: new Set(["title"]),
+  img: new Set(["src", "alt", "title"]),
+};
+
+const URL_ATTRIBUTES = new Set(["href", "src"]);
+
+const VOID_TAGS = new Set(["br", "img"]);
+
+// Elements whose content must never be kept
+const DROP_WITH_CONTENT =
+  /<(script|style|template|iframe|object|embed|noscript|svg|math)\b[\s\S]*?<\/\1\s*>/gi;
+
+/**
+ * Sanitize an HTML fragment
+ * Keeps basic inline/block formatting, links and images. All other
+ * tags are removed (their text is kept), attributes are limited to an
+ * allowlist and URLs must be absolute http(s).
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+  if (!html) return "";
+
+  return String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(DROP_WITH_CONTENT, "")
+    .replace(
+      /<(\/?)([a-z][a-z0-9-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|<|>/gi,
+      (match, closing, tag, attributes) => {
+        if (!tag) return match === "<" ? "&lt;" : "&gt;";
+
+        const name = tag.toLowerCase();
+        if (!ALLOWED_TAGS.has(name)) return "";
+
+        if (closing) {
+          return VOID_TAGS.has(name) ? "" : `</${name}>`;
+        }
+
+        return `<${name}${sanitizeAttributes(name, attributes)}>`;
+      },
+    );
+}
+
+/**
+ * Keep only allowed attributes for a tag
+ * @param {string} tag - Lowercase tag name
+ * @param {string} attributes - Raw attribute string
+ * @returns {string} Serialized attributes (with leading spaces)
+ */
+function sanitizeAttributes(tag, attributes) {
+  const allowed = ALLOWED_ATTRIBUTES[tag];
+  if (!allowed || !attributes) return "";
+
+  let result = "";
+  const pattern = /([a-z][a-z0-9-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+  for (const match of attributes.matchAll(pattern)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.has(name)) continue;
+
+    const value = match[2] ?? match[3] ?? match[4] ?? "";
+    if (URL_ATTRIBUTES.has(name) && !/^https?:\/\//i.test(value.trim())) {
+      continue;
+    }
+
+    result += ` ${name}="${value.replace(/"/g, "&quot;").replace(/</g, "&lt;")}"`;
+  }
+
+  if (tag === "a" && result.includes("href=")) {
+    result += ' rel="nofollow ugc"';
+  }
+
+  return result;
+}
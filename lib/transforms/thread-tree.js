@@ -0,0 +1,73 @@
+/**
+ * Threaded conversation trees
+ * Nests the replies to a post by what each one replies to. Replies and
+ * owner replies are matched through every reference they are known by
+ * (status URL, AT URI, ActivityPub object id, syndication URLs). The
+ * references are normalized, so the web and ActivityPub forms of a
+ * Mastodon status match, and so do the DID and handle forms of a
+ * Bluesky post. Replies whose parent is unknown (or is the post itself)
+ * sit at the top level.
+ * @module transforms/thread-tree
+ */
+
+import { normalizeObjectUrl } from "../matching/identity.js";
+
+/**
+ * Build a reply tree
+ * @param {Array<object>} nodes - [{ entry, refs, parents }]: JF2 entry, references identifying it, references of what it replies to (most specific first)
+ * @returns {Array<object>} Top-level JF2 entries, each with `depth` and nested `children` (oldest first)
+ */
+export function buildThreadTree(nodes) {
+  const byRef = new Map();
+  for (const node of nodes) {
+    for (const ref of node.refs) {
+      const key = normalizeObjectUrl(ref);
+      if (key && !byRef.has(key)) byRef.set(key, node);
+    }
+  }
+
+  for (const node of nodes) {
+    node.entry.children = [];
+    node.parent =
+      node.parents
+        .map((ref) => ref && byRef.get(normalizeObjectUrl(ref)))
+        .find((parent) => parent && parent !== node) || null;
+  }
+
+  // A reference loop (bad data) would leave its replies unreachable;
+  // the first reply of each loop moves to the top level
+  for (const node of nodes) {
+    const seen = new Set();
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent === node) {
+        node.parent = null;
+        break;
+      }
+      if (seen.has(parent)) break;
+      seen.add(parent);
+    }
+  }
+
+  const roots = [];
+  for (const node of nodes) {
+    (node.parent ? node.parent.entry.children : roots).push(node.entry);
+  }
+
+  setDepth(roots, 0);
+  return roots;
+}
+
+/**
+ * Sort entries oldest first and record their depth, recursively
+ * @param {Array<object>} entries - JF2 entries with children
+ * @param {number} depth - Depth of these entries (0 = top level)
+ */
+function setDepth(entries, depth) {
+  entries.sort((a, b) =>
+    String(a.published || "").localeCompare(String(b.published || "")),
+  );
+  for (const entry of entries) {
+    entry.depth = depth;
+    setDepth(entry.children, depth + 1);
+  }
+}